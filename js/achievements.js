@@ -0,0 +1,223 @@
+// Achievements
+// Long-term goals fed by simulation events. Each achievement is one registry entry with a
+// goal (1 for one-off feats, more for counters such as fuses defused) and a watch(sim, progress)
+// hook that subscribes to whatever events it needs and reports through progress.add(n),
+// progress.reach(value) or progress.done(), and reads back what's kept with progress.value().
+// Progress and unlock dates live in the player profile (js/profile.js), so they survive
+// between visits and travel with an export. Some achievements unlock a cosmetic skin
+// (js/skins.js), named by their reward.
+//
+// A new achievement is a registerAchievement() call in a script loaded after this one.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sim'), require('./levels'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.achievements = factory(root.CircleSurvival.sim, root.CircleSurvival.levels);
+    }
+})(typeof self !== 'undefined' ? self : this, function (simulation, levels) {
+    'use strict';
+
+    const registry = {};
+    const order = [];
+
+    /**
+     * Add an achievement, or replace one with the same name.
+     * @param {Object} def Achievement definition
+     * @param {string} def.name Identifier kept in the profile
+     * @param {string} def.label Title shown in toasts and the achievements page
+     * @param {string} def.description What it takes
+     * @param {number} [def.goal] Progress needed to unlock it (default 1)
+     * @param {Object} [def.reward] Skin it unlocks: { kind: 'circles' | 'tnt', skin }
+     * @param {Function} def.watch (sim, progress) Subscribe to the simulation and report progress
+     * @returns {Object} The registered definition
+     */
+    function registerAchievement(def) {
+        if (!def || typeof def.name !== 'string' || !def.name) throw new Error('Achievement needs a name');
+        if (typeof def.watch !== 'function') throw new Error('Achievement "' + def.name + '" needs a watch function');
+        const achievement = Object.assign({ label: def.name, description: '', goal: 1, reward: null }, def);
+        if (!registry[achievement.name]) order.push(achievement.name);
+        registry[achievement.name] = achievement;
+        return achievement;
+    }
+
+    /**
+     * Look up an achievement.
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    function getAchievement(name) {
+        return Object.prototype.hasOwnProperty.call(registry, name) ? registry[name] : null;
+    }
+
+    /**
+     * Names of all registered achievements, in registration order.
+     * @returns {string[]}
+     */
+    function achievementNames() {
+        return order.slice();
+    }
+
+    /**
+     * The achievement whose reward is a given skin, if any.
+     * @param {string} kind 'circles' or 'tnt'
+     * @param {string} skin
+     * @returns {Object|null}
+     */
+    function unlockerOf(kind, skin) {
+        for (const name of order) {
+            const reward = registry[name].reward;
+            if (reward && reward.kind === kind && reward.skin === skin) return registry[name];
+        }
+        return null;
+    }
+
+    /**
+     * Feed a simulation's events to every registered achievement and keep score in a profile.
+     * @param {Object} sim Simulation to watch
+     * @param {Object} store Profile store (js/profile.js)
+     * @param {Object} [options]
+     * @param {Function} [options.isCounted] Returns false while events should be ignored (replays, previews)
+     * @param {Function} [options.onProgress] Called with (achievement, progress) when a counter moves
+     * @param {Function} [options.onUnlock] Called with the achievement when it unlocks
+     */
+    function trackAchievements(sim, store, options) {
+        const opts = options || {};
+        const counted = () => !opts.isCounted || opts.isCounted();
+
+        for (const name of order) {
+            const achievement = registry[name];
+            const report = (value) => {
+                if (!counted() || store.achievement(name).unlocked) return;
+                const before = store.achievement(name).progress;
+                if (store.recordAchievement(name, value, achievement.goal)) {
+                    store.save();
+                    if (opts.onUnlock) opts.onUnlock(achievement);
+                } else if (store.achievement(name).progress !== before && opts.onProgress) {
+                    opts.onProgress(achievement, store.achievement(name).progress);
+                }
+            };
+            achievement.watch(sim, {
+                add: (n) => report(store.achievement(name).progress + (n === undefined ? 1 : n)),
+                reach: (value) => report(value),
+                done: () => report(achievement.goal),
+                value: () => store.achievement(name).progress
+            });
+        }
+    }
+
+    // ── Built-in achievements ──
+
+    registerAchievement({
+        name: 'cleanHands',
+        label: 'Clean Hands',
+        description: 'Clear a level from level 3 on without using any power-up, in a mode that has them.',
+        reward: { kind: 'circles', skin: 'bullseye' },
+        watch(sim, progress) {
+            let usedPowerUp = false;
+            sim.on('levelStart', () => { usedPowerUp = false; });
+            sim.on('powerUpUse', () => { usedPowerUp = true; });
+            // without power-ups to resist there is nothing clean about it
+            const cleared = (level) => { if (level >= 3 && !usedPowerUp && sim.getMode().powerUps) progress.done(); };
+            sim.on('levelComplete', ({ level }) => cleared(level));
+            sim.on('levelUp', ({ completedLevel }) => cleared(completedLevel));
+        }
+    });
+
+    registerAchievement({
+        name: 'bombSquad',
+        label: 'Bomb Squad',
+        description: 'Defuse 10 fuse circles by popping them before they go off.',
+        goal: 10,
+        reward: { kind: 'tnt', skin: 'dynamite' },
+        watch(sim, progress) {
+            sim.on('pop', ({ circle, cause }) => { if (circle.type === 'fuse' && cause === 'click') progress.add(); });
+        }
+    });
+
+    registerAchievement({
+        name: 'demolitionCrew',
+        label: 'Demolition Crew',
+        description: 'Have TNT in every bank slot at once.',
+        reward: { kind: 'tnt', skin: 'gold' },
+        watch(sim, progress) {
+            sim.on('bankChange', ({ bank }) => {
+                if (bank.length >= simulation.MAX_BANK_SLOTS && bank.every((kind) => kind === 'tnt')) progress.done();
+            });
+        }
+    });
+
+    registerAchievement({
+        name: 'eyeOfTheStorm',
+        label: 'Eye of the Storm',
+        description: 'Ride out a whole time warp with 20 or more circles on the board.',
+        reward: { kind: 'circles', skin: 'neon' },
+        watch(sim, progress) {
+            let warpStart = null;    // run time the warp began, while one is on
+            let peak = 0;
+            sim.on('warpStart', () => {
+                warpStart = sim.state.runTime;
+                peak = sim.state.circles.length;
+            });
+            sim.on('spawn', () => { if (warpStart !== null) peak = Math.max(peak, sim.state.circles.length); });
+            // a warp cut short by the level ending doesn't count
+            sim.on('warpEnd', () => {
+                const warp = levels.resolveLevel(sim.getPack(), sim.state.level).warp;
+                const full = warp && warpStart !== null && sim.state.runTime - warpStart >= warp.duration - 0.05;
+                if (full && peak >= 20 && sim.state.status === 'running') progress.done();
+                warpStart = null;
+            });
+            sim.on('reset', () => { warpStart = null; });
+            sim.on('levelComplete', () => { warpStart = null; });
+        }
+    });
+
+    registerAchievement({
+        name: 'popStar',
+        label: 'Pop Star',
+        description: 'Pop 1,000 circles.',
+        goal: 1000,
+        reward: { kind: 'circles', skin: 'bubble' },
+        watch(sim, progress) {
+            sim.on('pop', () => progress.add());
+        }
+    });
+
+    registerAchievement({
+        name: 'chainReaction',
+        label: 'Chain Reaction',
+        description: 'Build the combo multiplier all the way to ×' + simulation.MAX_MULTIPLIER + '.',
+        watch(sim, progress) {
+            sim.on('score', ({ reason }) => {
+                if (reason === 'click' && sim.state.multiplier >= simulation.MAX_MULTIPLIER) progress.done();
+            });
+        }
+    });
+
+    registerAchievement({
+        name: 'giantKiller',
+        label: 'Giant Killer',
+        description: 'Defeat a boss.',
+        reward: { kind: 'tnt', skin: 'gift' },
+        watch(sim, progress) {
+            sim.on('bossDefeat', () => progress.done());
+        }
+    });
+
+    registerAchievement({
+        name: 'longHaul',
+        label: 'Long Haul',
+        description: 'Reach level 10 by playing up to it.',
+        goal: 10,
+        watch(sim, progress) {
+            // a run started past the furthest level reached so far (a debug level jump, say)
+            // counts for nothing; one that carries on from a level already reached does
+            let fair = true;
+            sim.on('reset', ({ level }) => { fair = level <= Math.max(1, progress.value()); });
+            sim.on('levelStart', ({ level }) => { if (fair) progress.reach(level); });
+        }
+    });
+
+    return { registerAchievement, getAchievement, achievementNames, unlockerOf, trackAchievements };
+});
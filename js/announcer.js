@@ -0,0 +1,133 @@
+// Screen reader announcements
+// Turns simulation events into short sentences for two ARIA live regions: a polite one for
+// level changes, power-ups and the boss, and an assertive one for circles about to fill
+// the board. Threat warnings say roughly where the circle is, fire once per circle and are
+// spaced out so a crowded board doesn't flood the reader.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./circle-types'), require('./power-ups'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.announcer = factory(root.CircleSurvival.circleTypes, root.CircleSurvival.powerUps);
+    }
+})(typeof self !== 'undefined' ? self : this, function (circleTypes, powerUps) {
+    'use strict';
+
+    const THREAT_SHARE = 0.75;       // share of the largest radius at which a circle is a threat
+    const THREAT_GAP = 2;            // seconds between two threat warnings
+    const REPEAT_DELAY = 50;         // ms a region stays empty so the same text is read again
+    const BOSS_PHASE_WORDS = { armored: 'armored', drifting: 'drifting', fuse: 'carrying a fuse' };
+
+    // "top left", "middle", "bottom right", … for a point on the board
+    function placeName(x, y, width, height) {
+        const row = ['top', 'middle', 'bottom'][Math.min(2, Math.floor(y / height * 3))];
+        const column = ['left', 'centre', 'right'][Math.min(2, Math.floor(x / width * 3))];
+        if (row === 'middle' && column === 'centre') return 'the middle';
+        if (row === 'middle') return 'the middle ' + column;
+        if (column === 'centre') return 'the ' + row;
+        return 'the ' + row + ' ' + column;
+    }
+
+    function powerUpLabel(name) {
+        const powerUp = powerUps.getPowerUp(name);
+        return powerUp ? powerUp.label : name;
+    }
+
+    /**
+     * Announce a simulation's events through live regions.
+     * @param {Object} sim Simulation created by CircleSurvival.sim.createSimulation
+     * @param {Object} regions
+     * @param {HTMLElement} regions.polite Element with aria-live="polite"
+     * @param {HTMLElement} regions.assertive Element with aria-live="assertive"
+     * @param {Object} [options]
+     * @param {Function} [options.isActive] () => boolean: whether to announce right now (not
+     *   during replays, say)
+     * @returns {Object} Announcer with update(dt), say(text, urgent) and clear()
+     */
+    function createAnnouncer(sim, regions, options) {
+        const opts = options || {};
+        const isActive = opts.isActive || (() => true);
+        const warned = new WeakSet();    // circles already announced as threats
+        const waiting = new Map();       // region -> text to show once it has been emptied
+        let sinceThreat = THREAT_GAP;
+
+        /**
+         * Read a message out. Saying the same thing twice still reads it twice, and messages
+         * said together (in one step) are read as one.
+         * @param {string} text
+         * @param {boolean} [urgent] Interrupt whatever is being read
+         */
+        function say(text, urgent) {
+            if (!isActive()) return;
+            const region = urgent ? regions.assertive : regions.polite;
+            if (waiting.has(region)) {
+                waiting.set(region, waiting.get(region) + ' ' + text);
+                return;
+            }
+            region.textContent = '';
+            waiting.set(region, text);
+            setTimeout(() => {
+                region.textContent = waiting.get(region);
+                waiting.delete(region);
+            }, REPEAT_DELAY);
+        }
+
+        function clear() {
+            for (const region of waiting.keys()) waiting.set(region, '');
+            regions.polite.textContent = '';
+            regions.assertive.textContent = '';
+        }
+
+        sim.on('levelStart', ({ level }) => say('Level ' + level + ' started. Survive ' + sim.state.duration + ' seconds.'));
+        sim.on('levelUp', ({ level }) => say('Level ' + level + '.'));
+        sim.on('levelComplete', ({ level, levelScore }) => say('Level ' + level + ' complete with ' + levelScore + ' points.'));
+        sim.on('gameOver', ({ reason }) => {
+            const { level, score } = sim.state;
+            if (reason === 'timeUp') say('Time is up. ' + score + ' points, level ' + level + '.', true);
+            else if (reason === 'boss') say('The boss survived. Game over on level ' + level + ' with ' + score + ' points.', true);
+            else say('Game over on level ' + level + ' with ' + score + ' points.', true);
+        });
+        sim.on('warpStart', () => say('Time warp: circles are spawning faster.'));
+        sim.on('warpEnd', () => say('Time warp over.'));
+        sim.on('bossSpawn', ({ circle }) => say('Boss level! The boss in the middle has ' + circle.hp + ' health.'));
+        sim.on('bossPhase', ({ phase }) => {
+            if (phase > 0) say('The boss is ' + BOSS_PHASE_WORDS[circleTypes.BOSS_PHASES[phase]] + '.');
+        });
+        sim.on('bossDefeat', ({ reward }) => {
+            say('Boss defeated!' + (reward ? ' It dropped ' + powerUpLabel(reward) + '.' : ''));
+        });
+        sim.on('bossEscape', () => say('The boss got away.'));
+        sim.on('pickupSpawn', ({ pickup }) => say(powerUpLabel(pickup.kind) + ' power-up flying across the board.'));
+        sim.on('powerUpBank', ({ kind }) => {
+            const powerUp = powerUps.getPowerUp(kind);
+            say(powerUpLabel(kind) + ' banked' + (powerUp && powerUp.key ? ', press ' + powerUp.key + ' to use it.' : '.'));
+        });
+        sim.on('effectEnd', ({ name }) => say(powerUpLabel(name) + ' wore off.'));
+
+        /**
+         * Look for circles close to filling the board. Call once per frame while playing.
+         * @param {number} dt Seconds since the last frame
+         */
+        function update(dt) {
+            sinceThreat += dt;
+            if (sinceThreat < THREAT_GAP) return;
+            const limit = sim.maxRadius() * THREAT_SHARE;
+            let threat = null;
+            for (const circle of sim.state.circles) {
+                if (circle.radius >= limit && !warned.has(circle) && (!threat || circle.radius > threat.radius)) threat = circle;
+            }
+            if (!threat) return;
+            warned.add(threat);
+            sinceThreat = 0;
+            const { width, height } = sim.state;
+            const type = circleTypes.getCircleType(threat.type);
+            const label = type && threat.type !== 'normal' ? type.label.toLowerCase() + ' circle' : 'circle';
+            say('Warning: ' + label + ' nearly full at ' + placeName(threat.x, threat.y, width, height) + '.', true);
+        }
+
+        return { update, say, clear };
+    }
+
+    return { createAnnouncer, placeName };
+});
@@ -0,0 +1,425 @@
+// Procedural sound
+// Every sound is synthesized with WebAudio oscillators and filtered noise when it plays, so
+// there is nothing to download. Sound effects follow the simulation's events: pops pitched
+// by circle size, a clink for armored hits, cues for splitters and fuses, a fuse countdown
+// that ticks faster and higher as it burns down, a flyby for pickups and a blast for bombs,
+// a drone through time warps and a jingle between levels. An adaptive music loop runs while
+// a level is being played and builds up layer by layer as the board fills.
+//
+// Browsers only let audio start after a user gesture, so nothing is created until unlock()
+// is called from one. Volumes and mute are saved in localStorage.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.audio = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STORAGE_KEY = 'circleSurvival.audio';
+    const DEFAULT_SETTINGS = { master: 0.8, sfx: 1, music: 0.5, muted: false };
+    const CHANNELS = ['master', 'sfx', 'music'];
+    const SILENT = 0.0001;           // exponential ramps can't reach zero
+
+    const POP_HIGH = 880;            // Hz for a freshly spawned circle
+    const POP_LOW = 160;             // Hz for one about to fill the board
+    const VOICES_PER_FRAME = 6;      // a chain reaction doesn't play every pop
+    const FUSE_RAMP = 5;             // seconds of fuse over which the tick climbs in pitch
+
+    const MUSIC_TEMPO = 104;         // beats per minute on an empty board
+    const MUSIC_TEMPO_BOOST = 28;    // extra bpm on a full one
+    const MUSIC_FULL_AT = 18;        // circles on the board for full intensity
+    const MUSIC_LOOKAHEAD = 0.2;     // seconds of notes scheduled ahead of the clock
+    const MUSIC_ROOTS = [55, 55, 65.41, 49];   // bass root per bar: A, A, C, G
+    const MUSIC_ARPEGGIO = [0, 3, 7, 10];      // semitones above the root, minor seventh
+    const JINGLE = [523.25, 659.25, 783.99, 1046.5];
+
+    function clamp01(value) {
+        return Math.min(1, Math.max(0, value));
+    }
+
+    /**
+     * Read saved sound settings, falling back to the defaults for anything missing or damaged.
+     * @param {Storage} [storage]
+     * @returns {Object} { master, sfx, music, muted }
+     */
+    function loadSettings(storage) {
+        const settings = Object.assign({}, DEFAULT_SETTINGS);
+        if (!storage) return settings;
+        try {
+            const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+            if (saved && typeof saved === 'object') {
+                for (const channel of CHANNELS) {
+                    if (typeof saved[channel] === 'number' && isFinite(saved[channel])) settings[channel] = clamp01(saved[channel]);
+                }
+                settings.muted = saved.muted === true;
+            }
+        } catch (err) {
+            // unreadable settings are replaced on the next save
+        }
+        return settings;
+    }
+
+    /**
+     * Attach the sound engine to a simulation.
+     * @param {Object} sim Simulation created by CircleSurvival.sim.createSimulation
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] Where volumes and mute are kept
+     * @param {Function} [options.isActive] () => boolean: whether events should make sound
+     *   right now (not while a replay plays, say)
+     * @returns {Object} Engine with unlock(), update(dt), pause(), resume(), setVolume(),
+     *   setMuted(), toggleMute() and settings
+     */
+    function createAudioEngine(sim, options) {
+        const opts = options || {};
+        const isActive = opts.isActive || (() => true);
+        const settings = loadSettings(opts.storage);
+        const fuseTicks = new WeakMap();  // fuse circle -> fuse time left at its last tick
+        let ctx = null;
+        let masterBus;
+        let sfxBus;
+        let musicBus;
+        let noiseBuffer;
+        let drone = null;
+        let voices = 0;
+        let intensity = 0;
+        let nextStepAt = 0;
+        let step = 0;
+
+        function save() {
+            if (!opts.storage) return;
+            try {
+                opts.storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+            } catch (err) {
+                // storage full or blocked: the settings last for this visit
+            }
+        }
+
+        function applyVolumes() {
+            if (!ctx) return;
+            masterBus.gain.setTargetAtTime(settings.muted ? 0 : settings.master, ctx.currentTime, 0.02);
+            sfxBus.gain.setTargetAtTime(settings.sfx, ctx.currentTime, 0.02);
+            musicBus.gain.setTargetAtTime(settings.music, ctx.currentTime, 0.02);
+        }
+
+        /**
+         * Create the audio graph. Call from a click or key handler; later calls only wake a
+         * context the browser suspended.
+         */
+        function unlock() {
+            if (ctx) {
+                if (ctx.state === 'suspended') ctx.resume();
+                return;
+            }
+            const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+            if (!AudioContextClass) return;
+            ctx = new AudioContextClass();
+            masterBus = ctx.createGain();
+            masterBus.connect(ctx.destination);
+            sfxBus = ctx.createGain();
+            sfxBus.connect(masterBus);
+            musicBus = ctx.createGain();
+            musicBus.connect(masterBus);
+            noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+            const samples = noiseBuffer.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+            applyVolumes();
+        }
+
+        function ready() {
+            return ctx !== null && ctx.state === 'running' && !settings.muted && isActive();
+        }
+
+        // ── Synthesis ──
+
+        // Attack to a peak, then an exponential fade over the rest of the duration
+        function envelope(at, peak, attack, duration, bus) {
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(SILENT, at);
+            gain.gain.exponentialRampToValueAtTime(peak, at + attack);
+            gain.gain.exponentialRampToValueAtTime(SILENT, at + duration);
+            gain.connect(bus);
+            return gain;
+        }
+
+        /**
+         * One oscillator note.
+         * @param {Object} spec { freq, to, type, duration, volume, attack, at, bus }; `to` glides
+         *   the pitch over the note
+         */
+        function tone(spec) {
+            const at = spec.at || ctx.currentTime;
+            const osc = ctx.createOscillator();
+            osc.type = spec.type || 'sine';
+            osc.frequency.setValueAtTime(spec.freq, at);
+            if (spec.to) osc.frequency.exponentialRampToValueAtTime(spec.to, at + spec.duration);
+            osc.connect(envelope(at, spec.volume || 0.2, spec.attack || 0.005, spec.duration, spec.bus || sfxBus));
+            osc.start(at);
+            osc.stop(at + spec.duration + 0.05);
+        }
+
+        /**
+         * A burst of filtered white noise.
+         * @param {Object} spec { filter, freq, to, q, duration, volume, attack, at, bus }
+         */
+        function noise(spec) {
+            const at = spec.at || ctx.currentTime;
+            const source = ctx.createBufferSource();
+            source.buffer = noiseBuffer;
+            source.loop = true;
+            const filter = ctx.createBiquadFilter();
+            filter.type = spec.filter || 'lowpass';
+            filter.frequency.setValueAtTime(spec.freq, at);
+            if (spec.to) filter.frequency.exponentialRampToValueAtTime(spec.to, at + spec.duration);
+            filter.Q.value = spec.q || 1;
+            source.connect(filter);
+            filter.connect(envelope(at, spec.volume || 0.2, spec.attack || 0.005, spec.duration, spec.bus || sfxBus));
+            source.start(at);
+            source.stop(at + spec.duration + 0.05);
+        }
+
+        // Caps how many sounds start in one frame, so a chain reaction stays a rumble
+        function claimVoice() {
+            if (voices >= VOICES_PER_FRAME) return false;
+            voices++;
+            return true;
+        }
+
+        // ── Sound effects ──
+
+        // Small circles pop high, big ones low
+        function playPop(circle, soft) {
+            const closeness = clamp01(circle.radius / sim.maxRadius());
+            const freq = POP_HIGH * Math.pow(POP_LOW / POP_HIGH, closeness);
+            tone({ freq, to: freq * 0.5, type: 'triangle', duration: 0.12 + closeness * 0.1, volume: soft ? 0.08 : 0.22 });
+            noise({ filter: 'bandpass', freq: freq * 2, q: 2, duration: 0.05, volume: soft ? 0.04 : 0.1 });
+        }
+
+        // Two inharmonic partials ringing briefly sound like metal
+        function playClink() {
+            tone({ freq: 2100, type: 'square', duration: 0.09, volume: 0.06 });
+            tone({ freq: 3190, type: 'triangle', duration: 0.16, volume: 0.08 });
+        }
+
+        function playSplit(circle) {
+            const base = POP_HIGH * Math.pow(POP_LOW / POP_HIGH, clamp01(circle.radius / sim.maxRadius()));
+            tone({ freq: base, to: base * 1.5, type: 'sine', duration: 0.1, volume: 0.15 });
+            tone({ freq: base * 1.26, to: base * 1.9, type: 'sine', duration: 0.1, volume: 0.15, at: ctx.currentTime + 0.07 });
+        }
+
+        // The fuse's hiss cut off, then a bright chime for the save
+        function playDefuse() {
+            noise({ filter: 'highpass', freq: 4000, duration: 0.08, volume: 0.1 });
+            tone({ freq: 1318.5, type: 'sine', duration: 0.35, volume: 0.15, at: ctx.currentTime + 0.05 });
+            tone({ freq: 1975.5, type: 'sine', duration: 0.3, volume: 0.08, at: ctx.currentTime + 0.05 });
+        }
+
+        function playFuseTick(left) {
+            const urgency = 1 - clamp01(left / FUSE_RAMP);
+            tone({ freq: 600 + urgency * 900, type: 'square', duration: 0.03, volume: 0.05 + urgency * 0.05 });
+        }
+
+        function playFuseBurst() {
+            tone({ freq: 220, to: 70, type: 'sawtooth', duration: 0.4, volume: 0.12 });
+            noise({ freq: 1200, to: 200, duration: 0.4, volume: 0.15 });
+        }
+
+        // A filtered whoosh sweeping past, like something thrown across the board
+        function playFlyby() {
+            noise({ filter: 'bandpass', freq: 400, to: 2400, q: 4, duration: 0.5, attack: 0.25, volume: 0.12 });
+            noise({ filter: 'bandpass', freq: 2400, to: 500, q: 4, duration: 0.6, attack: 0.05, volume: 0.1, at: ctx.currentTime + 0.45 });
+        }
+
+        function playExplosion() {
+            tone({ freq: 110, to: 35, type: 'sine', duration: 0.6, volume: 0.5 });
+            noise({ freq: 3000, to: 150, duration: 0.9, volume: 0.4 });
+        }
+
+        function playPowerUp() {
+            tone({ freq: 440, to: 1320, type: 'triangle', duration: 0.25, volume: 0.15 });
+        }
+
+        function playBank() {
+            tone({ freq: 988, type: 'triangle', duration: 0.08, volume: 0.12 });
+            tone({ freq: 1319, type: 'triangle', duration: 0.12, volume: 0.12, at: ctx.currentTime + 0.07 });
+        }
+
+        function playJingle() {
+            JINGLE.forEach((freq, i) => {
+                tone({ freq, type: 'triangle', duration: i === JINGLE.length - 1 ? 0.6 : 0.18, volume: 0.16, at: ctx.currentTime + i * 0.11 });
+            });
+        }
+
+        function playGameOver() {
+            [392, 311.13, 261.63, 196].forEach((freq, i) => {
+                tone({ freq, type: 'sawtooth', duration: 0.35, volume: 0.08, at: ctx.currentTime + i * 0.18 });
+            });
+        }
+
+        // Two detuned low saws under a slowly opening filter, held for the whole warp
+        function startDrone() {
+            if (drone) return;
+            const at = ctx.currentTime;
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(SILENT, at);
+            gain.gain.exponentialRampToValueAtTime(0.12, at + 0.6);
+            gain.connect(sfxBus);
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(200, at);
+            filter.frequency.linearRampToValueAtTime(900, at + 3);
+            filter.connect(gain);
+            const oscillators = [55, 55.6, 110.4].map((freq) => {
+                const osc = ctx.createOscillator();
+                osc.type = 'sawtooth';
+                osc.frequency.value = freq;
+                osc.connect(filter);
+                osc.start(at);
+                return osc;
+            });
+            drone = { gain, oscillators };
+        }
+
+        function stopDrone() {
+            if (!drone) return;
+            const at = ctx.currentTime;
+            drone.gain.gain.cancelScheduledValues(at);
+            drone.gain.gain.setTargetAtTime(0, at, 0.1);
+            for (const osc of drone.oscillators) osc.stop(at + 0.5);
+            drone = null;
+        }
+
+        // ── Simulation events ──
+        sim.on('hit', ({ circle }) => {
+            if (!ready() || !claimVoice()) return;
+            if (circle.type === 'armored') playClink();
+            else if (circle.type === 'boss') tone({ freq: 120, to: 80, type: 'square', duration: 0.12, volume: 0.12 });
+            else tone({ freq: 700, type: 'triangle', duration: 0.05, volume: 0.08 });
+        });
+        sim.on('pop', ({ circle, cause }) => {
+            if (!ready() || !claimVoice()) return;
+            if (cause === 'click' && circle.type === 'splitter') playSplit(circle);
+            else if (cause === 'click' && circle.type === 'fuse') playDefuse();
+            else playPop(circle, cause !== 'click');
+        });
+        // a dull thud for clicking empty space
+        sim.on('score', ({ reason }) => {
+            if (reason === 'miss' && ready()) tone({ freq: 140, to: 90, type: 'sine', duration: 0.1, volume: 0.15 });
+        });
+        sim.on('fuseExpire', () => { if (ready()) playFuseBurst(); });
+        sim.on('pickupSpawn', () => { if (ready()) playFlyby(); });
+        sim.on('powerUpBank', () => { if (ready()) playBank(); });
+        sim.on('powerUpUse', ({ kind }) => {
+            if (!ready()) return;
+            if (kind !== 'tnt') playPowerUp();
+        });
+        sim.on('bombDetonate', () => { if (ready()) playExplosion(); });
+        sim.on('warpStart', () => { if (ready()) startDrone(); });
+        sim.on('warpEnd', () => { if (ctx) stopDrone(); });
+        sim.on('levelComplete', () => {
+            if (!ctx) return;
+            stopDrone();
+            if (ready()) playJingle();
+        });
+        sim.on('levelUp', () => { if (ready()) playJingle(); });
+        sim.on('bossDefeat', () => { if (ready()) playJingle(); });
+        sim.on('gameOver', () => {
+            if (!ctx) return;
+            stopDrone();
+            if (ready()) playGameOver();
+        });
+        sim.on('reset', () => { if (ctx) stopDrone(); });
+
+        // ── Adaptive music ──
+        // A bass pulse always; an arpeggio, hi-hats and a backbeat join as the board fills,
+        // and the tempo picks up with them
+
+        function playMusicStep(index, at) {
+            const root = MUSIC_ROOTS[Math.floor(index / 8) % MUSIC_ROOTS.length];
+            if (index % 4 === 0) tone({ freq: root, type: 'triangle', duration: 0.3, volume: 0.35, at, bus: musicBus });
+            if (intensity > 0.25 && index % 2 === 0) {
+                const semitones = MUSIC_ARPEGGIO[(index / 2) % MUSIC_ARPEGGIO.length];
+                tone({ freq: root * 4 * Math.pow(2, semitones / 12), type: 'square', duration: 0.12, volume: 0.04 * intensity, at, bus: musicBus });
+            }
+            if (intensity > 0.55) noise({ filter: 'highpass', freq: 7000, duration: 0.03, volume: 0.06 * intensity, at, bus: musicBus });
+            if (intensity > 0.8 && index % 8 === 4) noise({ filter: 'bandpass', freq: 1800, duration: 0.14, volume: 0.12, at, bus: musicBus });
+        }
+
+        function updateMusic(dt) {
+            const target = clamp01(sim.state.circles.length / MUSIC_FULL_AT);
+            intensity += (target - intensity) * Math.min(1, dt * 2);
+            // after a pause or a level break the loop picks up from now, not where it stopped
+            if (nextStepAt < ctx.currentTime) nextStepAt = ctx.currentTime + 0.05;
+            while (nextStepAt < ctx.currentTime + MUSIC_LOOKAHEAD) {
+                playMusicStep(step, nextStepAt);
+                nextStepAt += 60 / (MUSIC_TEMPO + MUSIC_TEMPO_BOOST * intensity) / 2;
+                step++;
+            }
+        }
+
+        // Fuses tick once a second, twice under three seconds and four times in the last one and a half
+        function updateFuses() {
+            for (const circle of sim.state.circles) {
+                const left = circle.fuseTimeLeft;
+                if (typeof left !== 'number' || left <= 0) continue;
+                const last = fuseTicks.get(circle);
+                const interval = left > 3 ? 1 : left > 1.5 ? 0.5 : 0.25;
+                if (last === undefined || last - left >= interval) {
+                    fuseTicks.set(circle, left);
+                    if (last !== undefined && claimVoice()) playFuseTick(left);
+                }
+            }
+        }
+
+        /**
+         * Play the music and fuse ticks. Call once per frame while a level is being played.
+         * @param {number} dt Seconds since the last frame
+         */
+        function update(dt) {
+            voices = 0;
+            if (!ready()) return;
+            updateFuses();
+            updateMusic(dt);
+        }
+
+        // Everything, the drone and scheduled notes included, stops while the game is paused
+        function pause() {
+            if (ctx && ctx.state === 'running') ctx.suspend();
+        }
+
+        function resume() {
+            if (ctx && ctx.state === 'suspended') ctx.resume();
+        }
+
+        /**
+         * Set a channel's volume and save it.
+         * @param {string} channel 'master', 'sfx' or 'music'
+         * @param {number} value 0–1
+         */
+        function setVolume(channel, value) {
+            if (CHANNELS.indexOf(channel) < 0) return;
+            settings[channel] = clamp01(value);
+            applyVolumes();
+            save();
+        }
+
+        function setMuted(muted) {
+            settings.muted = muted;
+            if (muted && ctx) stopDrone();
+            applyVolumes();
+            save();
+        }
+
+        function toggleMute() {
+            setMuted(!settings.muted);
+            return settings.muted;
+        }
+
+        return { unlock, update, pause, resume, setVolume, setMuted, toggleMute, settings };
+    }
+
+    return { createAudioEngine, loadSettings, STORAGE_KEY };
+});
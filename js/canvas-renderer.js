@@ -0,0 +1,560 @@
+// Circle Survival canvas renderer
+// Draws circles, particles, shockwaves and the flying power-up pickup onto a single canvas
+// that fills the game area, instead of one DOM node per object. Clicks are hit-tested
+// against the simulation's circle data and handed back through callbacks; the renderer
+// never changes the simulation itself. The power-up bank stays as small DOM slots, rebuilt
+// from whatever is banked. Circle colours come from the circle type registry
+// (js/circle-types.js), pickup sprites from the power-up registry (js/power-ups.js); a theme
+// or palette can override both circle and particle colours through CSS custom properties.
+// Unlocked cosmetic skins (js/skins.js) can repaint the circles and the TNT sprite.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./circle-types'), require('./power-ups'), require('./skins'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.canvasRenderer = factory(root.CircleSurvival.circleTypes, root.CircleSurvival.powerUps,
+            root.CircleSurvival.skins);
+    }
+})(typeof self !== 'undefined' ? self : this, function (circleTypes, powerUps, skins) {
+    'use strict';
+
+    const MAX_PARTICLES = 600;
+    const SHOCKWAVE_DURATION = 0.35; // seconds
+    const SCORE_POPUP_DURATION = 0.8; // seconds a "+points" label floats for
+    const SCORE_POPUP_RISE = 40;      // pixels it drifts up over that time
+    const SPRITE_SIZE = 64;           // pickup sprites are drawn once at this size
+    const SLOT_SPRITE_SIZE = 22;
+    const BOSS_BAR_HEIGHT = 14;
+    const BOSS_BAR_MAX_WIDTH = 320;
+    const BOSS_BAR_MARGIN = 10;
+    const RETICLE_RADIUS = 14;
+
+    // Colours that belong to effects rather than a circle type
+    const DAMAGED_STYLE = { fill: ['--circle-damaged', 'rgba(255, 140, 0, 0.8)'], border: ['--circle-border-damaged', '#ff8c00'] };
+    const EFFECT_PARTICLES = {
+        damaged: { fill: '#ff8c00', glow: '#ffb347' }
+    };
+
+    // Paint a power-up's sprite onto a fresh canvas, with a skin's draw in place of its own
+    function powerUpSprite(name, size, skinDraw) {
+        const canvas = document.createElement('canvas');
+        const powerUp = powerUps.getPowerUp(name) || powerUps.getPowerUp('tnt');
+        (skinDraw || powerUp.appearance.draw)(canvas, size);
+        return canvas;
+    }
+
+    /**
+     * Attach a canvas renderer to a simulation.
+     * @param {Object} sim Simulation created by CircleSurvival.sim.createSimulation
+     * @param {HTMLElement} gameArea Container the canvas is placed in
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.bank] Container the power-up bank slots are drawn into
+     * @param {number} [options.bankSize] Number of bank slots (default 3)
+     * @param {Function} [options.onCircleClick] Called with the clicked circle
+     * @param {Function} [options.onPickupClick] Called when the flying pickup is clicked
+     * @param {Function} [options.onBankClick] Called with the slot index when a filled bank slot is clicked
+     * @param {Function} [options.onMiss] Called with (x, y) when a click hits nothing
+     * @param {Object} [options.reticle] Keyboard/gamepad reticle (js/reticle.js), drawn while visible
+     * @returns {Object} Renderer with render(dt), clear(), setEffectsEnabled(), setReducedMotion(),
+     *   setParticleDensity(), setMarkers(), setSkins() and refreshPalette()
+     */
+    function createCanvasRenderer(sim, gameArea, options) {
+        const opts = options || {};
+        const bankSize = opts.bankSize || 3;
+        const canvas = document.createElement('canvas');
+        canvas.className = 'game-canvas';
+        gameArea.insertBefore(canvas, gameArea.firstChild);
+        const ctx = canvas.getContext('2d');
+        const sprites = {};      // power-up name -> sprite canvas, drawn on first use
+        let particles = [];
+        let shockwaves = [];
+        let scorePopups = [];
+        let effectsEnabled = true;
+        let reducedMotion = false;
+        let particleDensity = 1;
+        let markers = false;
+        let circleSkin = skins.getSkin('circles', 'classic');
+        let tntSkin = skins.getSkin('tnt', 'classic');
+        let palette = {};
+        let particlePalette = {};
+        // Mapping from simulation coordinates to canvas pixels
+        let view = { scale: 1, offsetX: 0, offsetY: 0, pixelRatio: 1 };
+
+        // A skin's replacement for a power-up's sprite, if one is picked
+        function skinDraw(name) {
+            return name === 'tnt' ? tntSkin.draw : null;
+        }
+
+        function spriteFor(name) {
+            return sprites[name] || (sprites[name] = powerUpSprite(name, SPRITE_SIZE, skinDraw(name)));
+        }
+
+        // One slot per bank place: filled ones show the power-up and its hotkey
+        function updateBankUI(bank) {
+            if (!opts.bank) return;
+            opts.bank.innerHTML = '';
+            for (let i = 0; i < bankSize; i++) {
+                const slot = document.createElement('div');
+                slot.className = 'power-up-slot';
+                const name = bank[i];
+                if (name) {
+                    const powerUp = powerUps.getPowerUp(name);
+                    slot.classList.add('filled');
+                    slot.title = powerUp.label + (powerUp.key ? ' (' + powerUp.key + ')' : '');
+                    slot.appendChild(powerUpSprite(name, SLOT_SPRITE_SIZE, skinDraw(name)));
+                    if (powerUp.key) {
+                        const key = document.createElement('span');
+                        key.className = 'power-up-key';
+                        key.textContent = powerUp.key;
+                        slot.appendChild(key);
+                    }
+                    slot.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        if (opts.onBankClick) opts.onBankClick(i);
+                    });
+                }
+                opts.bank.appendChild(slot);
+            }
+        }
+
+        /**
+         * Re-read circle and particle colours from the page's CSS custom properties, e.g. after
+         * a theme or palette change. A type's particles follow --particle-<type> and
+         * --particle-glow-<type> when the page sets them.
+         */
+        function refreshPalette() {
+            // themes and palettes are classes on <body>, so read the properties there
+            const css = getComputedStyle(document.body || document.documentElement);
+            const read = (pair) => css.getPropertyValue(pair[0]).trim() || pair[1];
+            palette = {};
+            particlePalette = {};
+            for (const name of circleTypes.circleTypeNames()) {
+                const look = circleTypes.getCircleType(name).appearance;
+                palette[name] = { fill: read(look.fill), border: read(look.border), width: look.borderWidth };
+                particlePalette[name] = {
+                    fill: read(['--particle-' + name, look.particles.fill]),
+                    glow: read(['--particle-glow-' + name, look.particles.glow])
+                };
+            }
+            palette.damaged = { fill: read(DAMAGED_STYLE.fill), border: read(DAMAGED_STYLE.border) };
+            palette.text = read(['--text-primary', '#ffffff']);
+            palette.marker = read(['--circle-marker', 'rgba(255, 255, 255, 0.85)']);
+        }
+
+        // Particle colours for a circle type, a power-up or one of the effect keys above
+        function particleColors(key) {
+            if (EFFECT_PARTICLES[key]) return EFFECT_PARTICLES[key];
+            const powerUp = powerUps.getPowerUp(key);
+            if (powerUp) return powerUp.appearance.particles;
+            return particlePalette[key] || particlePalette.normal;
+        }
+
+        // Keep the backing store matched to the element size and device pixel ratio
+        function resizeCanvas() {
+            const width = gameArea.clientWidth;
+            const height = gameArea.clientHeight;
+            const ratio = window.devicePixelRatio || 1;
+            if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+                canvas.width = Math.round(width * ratio);
+                canvas.height = Math.round(height * ratio);
+            }
+            // Fit the simulation's play area inside the canvas (they match during live play;
+            // replays recorded on another screen size are scaled to fit)
+            const { width: simW, height: simH } = sim.state;
+            const scale = simW > 0 && simH > 0 && width > 0 && height > 0 ? Math.min(width / simW, height / simH) : 1;
+            view = {
+                scale,
+                offsetX: (width - simW * scale) / 2,
+                offsetY: (height - simH * scale) / 2,
+                pixelRatio: ratio
+            };
+        }
+
+        /**
+         * Convert a pointer event to simulation coordinates.
+         * @param {MouseEvent} e
+         * @returns {{x: number, y: number}}
+         */
+        function toSimCoords(e) {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left - view.offsetX) / view.scale,
+                y: (e.clientY - rect.top - view.offsetY) / view.scale
+            };
+        }
+
+        // ── Hit-testing against simulation data ──
+        canvas.addEventListener('click', (e) => {
+            const { x, y } = toSimCoords(e);
+            if (sim.pickupContains(x, y)) {
+                e.stopPropagation();
+                if (opts.onPickupClick) opts.onPickupClick();
+                return;
+            }
+            const circle = sim.circleAt(x, y);
+            if (circle) {
+                e.stopPropagation();
+                if (opts.onCircleClick) opts.onCircleClick(circle);
+            } else if (opts.onMiss) {
+                opts.onMiss(x, y);
+            }
+        });
+        canvas.addEventListener('mousemove', (e) => {
+            const { x, y } = toSimCoords(e);
+            canvas.style.cursor = sim.pickupContains(x, y) || sim.circleAt(x, y) ? 'pointer' : '';
+        });
+
+        // ── Shockwave expanding ring ──
+        function spawnShockwave(cx, cy, maxRadius) {
+            if (reducedMotion) return;
+            shockwaves.push({ x: cx, y: cy, maxRadius, t: 0 });
+        }
+
+        // ── Particles ──
+        function spawnParticles(x, y, colorKey, count, energy, isFinalPop) {
+            if (reducedMotion) return;
+            const colors = particleColors(colorKey);
+            const total = Math.round(count * particleDensity);
+            for (let i = 0; i < total; i++) {
+                const angle = Math.random() * Math.PI * 2;
+                const speed = energy * (0.5 + Math.random());
+                const size = isFinalPop ? 3 + Math.random() * 5 : 2 + Math.random() * 3;
+                const lifetime = isFinalPop ? 0.4 + Math.random() * 0.4 : 0.25 + Math.random() * 0.25;
+                particles.push({
+                    x, y,
+                    vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed,
+                    size, life: lifetime, maxLife: lifetime,
+                    gravity: isFinalPop ? 60 + Math.random() * 40 : 20,
+                    color: Math.random() < 0.4 ? colors.glow : colors.fill,
+                    glow: isFinalPop && Math.random() < 0.3 ? colors.glow : null
+                });
+            }
+            // drop the oldest particles rather than let a huge chain reaction stall the frame
+            if (particles.length > MAX_PARTICLES) particles.splice(0, particles.length - MAX_PARTICLES);
+        }
+        function updateEffects(dt) {
+            for (let i = particles.length - 1; i >= 0; i--) {
+                const p = particles[i]; p.life -= dt;
+                if (p.life <= 0) { particles.splice(i, 1); continue; }
+                p.vy += p.gravity * dt; p.x += p.vx * dt; p.y += p.vy * dt;
+            }
+            for (let i = shockwaves.length - 1; i >= 0; i--) {
+                shockwaves[i].t += dt / SHOCKWAVE_DURATION;
+                if (shockwaves[i].t >= 1) shockwaves.splice(i, 1);
+            }
+            for (let i = scorePopups.length - 1; i >= 0; i--) {
+                scorePopups[i].t += dt / SCORE_POPUP_DURATION;
+                if (scorePopups[i].t >= 1) scorePopups.splice(i, 1);
+            }
+        }
+
+        // ── Drawing ──
+        function drawCircle(circle) {
+            const look = palette[circle.type] || palette.normal;
+            // damage changes the colours but the type keeps its rim width
+            const style = circle.damaged ? palette.damaged : look;
+            const borderWidth = look.width;
+            if (circleSkin.paint) {
+                circleSkin.paint(ctx, circle, style, borderWidth);
+            } else {
+                ctx.beginPath();
+                ctx.arc(circle.x, circle.y, circle.radius, 0, Math.PI * 2);
+                ctx.fillStyle = style.fill;
+                ctx.fill();
+                // border sits inside the radius, like a border-box element
+                const rimRadius = circle.radius - borderWidth / 2;
+                if (rimRadius > 0) {
+                    ctx.beginPath();
+                    ctx.arc(circle.x, circle.y, rimRadius, 0, Math.PI * 2);
+                    ctx.lineWidth = borderWidth;
+                    ctx.strokeStyle = style.border;
+                    ctx.stroke();
+                }
+            }
+            if (markers && look.marker) drawMarker(circle, look.marker);
+        }
+
+        // Shapes that tell the types apart without colour: a ring inside armored circles, an
+        // arrow along a drifter's heading, a line down a splitter and a dashed ring round a fuse
+        function drawMarker(circle, marker) {
+            const { x, y, radius } = circle;
+            if (radius < 8) return;
+            ctx.save();
+            ctx.beginPath();
+            if (marker === 'ring') {
+                ctx.arc(x, y, radius * 0.55, 0, Math.PI * 2);
+            } else if (marker === 'split') {
+                ctx.moveTo(x, y - radius * 0.7);
+                ctx.lineTo(x, y + radius * 0.7);
+            } else if (marker === 'arrow') {
+                const angle = Math.atan2(circle.driftY || 0, circle.driftX || 0);
+                const point = (distance, turn) => [x + Math.cos(angle + turn) * distance, y + Math.sin(angle + turn) * distance];
+                ctx.moveTo(...point(radius * 0.5, 2.5));
+                ctx.lineTo(...point(radius * 0.5, 0));
+                ctx.lineTo(...point(radius * 0.5, -2.5));
+            } else if (marker === 'dashes') {
+                ctx.setLineDash([radius * 0.3, radius * 0.2]);
+                ctx.arc(x, y, radius * 0.65, 0, Math.PI * 2);
+            }
+            ctx.lineWidth = Math.max(1.5, radius / 10);
+            ctx.lineCap = 'round';
+            ctx.strokeStyle = palette.marker;
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        function drawShockwave(ring) {
+            const t = ring.t;
+            ctx.save();
+            ctx.globalAlpha = Math.max(0, 1 - t * t);
+            ctx.beginPath();
+            ctx.arc(ring.x, ring.y, ring.maxRadius * t, 0, Math.PI * 2);
+            ctx.lineWidth = Math.max(1, 3 * (1 - t));
+            ctx.strokeStyle = 'rgba(255, 140, 0, 0.8)';
+            ctx.shadowColor = 'rgba(255, 100, 0, 0.4)';
+            ctx.shadowBlur = 20;
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        function drawParticles() {
+            for (const p of particles) {
+                const t = p.life / p.maxLife;
+                const r = (p.size * t) / 2;
+                ctx.globalAlpha = t;
+                if (p.glow) {
+                    // soft halo instead of shadowBlur, which is slow on low-end phones
+                    ctx.globalAlpha = t * 0.35;
+                    ctx.fillStyle = p.glow;
+                    ctx.beginPath();
+                    ctx.arc(p.x, p.y, r * 3, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.globalAlpha = t;
+                }
+                ctx.fillStyle = p.color;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        function drawScorePopups() {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            for (const popup of scorePopups) {
+                ctx.globalAlpha = 1 - popup.t * popup.t;
+                ctx.font = 'bold ' + popup.size + 'px Arial, sans-serif';
+                ctx.fillStyle = popup.color;
+                // with reduced motion the label fades where it is instead of floating up
+                ctx.fillText(popup.text, popup.x, popup.y - (reducedMotion ? 0 : popup.t * SCORE_POPUP_RISE));
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        // Timed power-ups (freeze, slow-mo) wash the board in their colour while they last
+        function drawEffectTints() {
+            for (const effect of sim.state.effects) {
+                const powerUp = powerUps.getPowerUp(effect.name);
+                if (!powerUp || !powerUp.appearance.tint) continue;
+                // fade out over the last second
+                ctx.globalAlpha = Math.min(1, effect.timeLeft);
+                ctx.fillStyle = powerUp.appearance.tint;
+                ctx.fillRect(0, 0, sim.state.width, sim.state.height);
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        // Health bar across the top of the board while a boss is out, labelled with its phase
+        function drawBossBar() {
+            const boss = sim.state.boss;
+            if (!boss) return;
+            const width = Math.min(sim.state.width - BOSS_BAR_MARGIN * 2, BOSS_BAR_MAX_WIDTH);
+            const x = (sim.state.width - width) / 2;
+            const y = BOSS_BAR_MARGIN;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(x, y, width, BOSS_BAR_HEIGHT);
+            ctx.fillStyle = palette.boss.border;
+            ctx.fillRect(x, y, width * Math.max(0, boss.hp) / boss.maxHp, BOSS_BAR_HEIGHT);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x, y, width, BOSS_BAR_HEIGHT);
+            ctx.font = 'bold 11px Arial, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#ffffff';
+            const phase = circleTypes.BOSS_PHASES[boss.phase];
+            ctx.fillText('BOSS \u2014 ' + phase.toUpperCase(), sim.state.width / 2, y + BOSS_BAR_HEIGHT / 2 + 0.5);
+        }
+
+        // Ring and crosshair, outlined in dark and light so it shows over any circle colour
+        function drawReticle() {
+            const reticle = opts.reticle;
+            if (!reticle || !reticle.visible) return;
+            const { x, y } = reticle;
+            ctx.beginPath();
+            ctx.arc(x, y, RETICLE_RADIUS, 0, Math.PI * 2);
+            ctx.moveTo(x - RETICLE_RADIUS * 1.5, y);
+            ctx.lineTo(x - RETICLE_RADIUS / 2, y);
+            ctx.moveTo(x + RETICLE_RADIUS / 2, y);
+            ctx.lineTo(x + RETICLE_RADIUS * 1.5, y);
+            ctx.moveTo(x, y - RETICLE_RADIUS * 1.5);
+            ctx.lineTo(x, y - RETICLE_RADIUS / 2);
+            ctx.moveTo(x, y + RETICLE_RADIUS / 2);
+            ctx.lineTo(x, y + RETICLE_RADIUS * 1.5);
+            ctx.lineWidth = 5;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+            ctx.stroke();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#ffffff';
+            ctx.stroke();
+        }
+
+        function draw() {
+            const { scale, offsetX, offsetY, pixelRatio } = view;
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.setTransform(pixelRatio * scale, 0, 0, pixelRatio * scale, pixelRatio * offsetX, pixelRatio * offsetY);
+            drawEffectTints();
+            for (const circle of sim.state.circles) drawCircle(circle);
+            for (const ring of shockwaves) drawShockwave(ring);
+            const pickup = sim.state.pickup;
+            if (pickup) {
+                ctx.imageSmoothingEnabled = false;
+                ctx.drawImage(spriteFor(pickup.kind), pickup.x, pickup.y, pickup.size, pickup.size);
+                ctx.imageSmoothingEnabled = true;
+            }
+            drawParticles();
+            drawScorePopups();
+            drawBossBar();
+            drawReticle();
+        }
+
+        // ── Simulation events ──
+        sim.on('hit', ({ circle }) => {
+            if (effectsEnabled) spawnParticles(circle.x, circle.y, circle.type, 8, 120, false);
+        });
+        sim.on('pop', ({ circle, cause }) => {
+            if (!effectsEnabled) return;
+            const popColor = circle.damaged ? 'damaged' : circle.type;
+            if (cause === 'bomb') {
+                spawnParticles(circle.x, circle.y, popColor, Math.min(20, Math.max(8, Math.floor(circle.radius / 4))), 140, true);
+            } else if (circle.isChild) {
+                spawnParticles(circle.x, circle.y, popColor, Math.min(20, Math.max(10, Math.floor(circle.radius / 3))), 160 + circle.radius, true);
+            } else {
+                spawnParticles(circle.x, circle.y, popColor, Math.min(30, Math.max(12, Math.floor(circle.radius / 3))), 180 + circle.radius, true);
+            }
+        });
+        // Big particle burst wherever a power-up goes off
+        sim.on('powerUpUse', ({ kind, x, y }) => {
+            if (effectsEnabled) spawnParticles(x, y, kind, 25, 250, true);
+        });
+        // the boss sheds a ring of sparks each time it changes behaviour
+        sim.on('bossPhase', ({ circle, phase }) => {
+            if (!effectsEnabled || phase === 0) return;
+            spawnShockwave(circle.x, circle.y, circle.radius * 2);
+            spawnParticles(circle.x, circle.y, 'boss', 24, 220, true);
+        });
+        sim.on('bombDetonate', ({ x, y, radius }) => {
+            if (effectsEnabled) spawnShockwave(x, y, radius);
+        });
+        // a circle that filled the board shrank back (zen and time attack)
+        sim.on('overflow', ({ circle }) => {
+            if (!effectsEnabled) return;
+            spawnShockwave(circle.x, circle.y, sim.maxRadius());
+            spawnParticles(circle.x, circle.y, circle.type, 16, 200, true);
+        });
+        // two circles fused on a level with merging physics
+        sim.on('merge', ({ circle }) => {
+            if (effectsEnabled) spawnParticles(circle.x, circle.y, circle.type, 10, 100 + circle.radius, false);
+        });
+        sim.on('bankChange', ({ bank }) => updateBankUI(bank));
+        sim.on('score', ({ points, multiplier, reason, x, y }) => {
+            if (!effectsEnabled || !points || x === undefined) return;
+            const missed = reason === 'miss' || reason === 'overflow';
+            scorePopups.push({
+                x, y, t: 0,
+                text: (points > 0 ? '+' : '\u2212') + Math.abs(points) + (multiplier > 1 ? ' \u00d7' + multiplier.toFixed(2).replace(/\.?0+$/, '') : ''),
+                size: missed ? 14 : Math.min(22, 12 + points / 10),
+                color: missed ? '#ff5252' : multiplier > 1 ? '#ffd54f' : palette.text
+            });
+        });
+
+        /**
+         * Advance particles and shockwaves, then redraw the frame.
+         * @param {number} dt Seconds since the previous frame
+         */
+        function render(dt) {
+            resizeCanvas();
+            updateEffects(dt);
+            draw();
+        }
+
+        function clear() {
+            particles = [];
+            shockwaves = [];
+            scorePopups = [];
+            resizeCanvas();
+            draw();
+        }
+
+        /**
+         * Turn particles and shockwaves on or off, e.g. while fast-forwarding a replay.
+         * @param {boolean} enabled
+         */
+        function setEffectsEnabled(enabled) {
+            effectsEnabled = enabled;
+        }
+
+        /**
+         * Honour the player's reduced-motion preference: no particles or shockwaves, and
+         * score labels fade without floating.
+         * @param {boolean} reduced
+         */
+        function setReducedMotion(reduced) {
+            reducedMotion = reduced;
+            if (reduced) {
+                particles = [];
+                shockwaves = [];
+            }
+        }
+
+        /**
+         * Scale how many particles each burst throws out; 0 turns them off.
+         * @param {number} density 1 is the normal amount
+         */
+        function setParticleDensity(density) {
+            particleDensity = density;
+        }
+
+        /**
+         * Draw each type's shape marker (its appearance.marker) inside its circles.
+         * @param {boolean} enabled
+         */
+        function setMarkers(enabled) {
+            markers = enabled;
+        }
+
+        /**
+         * Switch cosmetic skins. Unknown names fall back to the classic look.
+         * @param {Object} picked { circles, tnt }: skin names from js/skins.js
+         */
+        function setSkins(picked) {
+            circleSkin = skins.getSkin('circles', picked.circles) || skins.getSkin('circles', 'classic');
+            tntSkin = skins.getSkin('tnt', picked.tnt) || skins.getSkin('tnt', 'classic');
+            delete sprites.tnt;
+            updateBankUI(sim.state.bank);
+        }
+
+        refreshPalette();
+        updateBankUI(sim.state.bank);
+
+        return {
+            render, clear, setEffectsEnabled, setReducedMotion, setParticleDensity, setMarkers,
+            setSkins, refreshPalette, spawnParticles
+        };
+    }
+
+    return { createCanvasRenderer };
+});
@@ -0,0 +1,316 @@
+// Circle types
+// Every kind of circle is described by one entry in this registry: how it looks, what it
+// does when it spawns, when it is clicked, on every tick and when it pops. The simulation,
+// renderer, level packs, editor and legends all read from here, so a new type is one
+// registerCircleType() call in a script loaded after this one.
+//
+// Behaviour hooks receive the circle and a `game` handle onto the simulation:
+//   game.state, game.config (the level's resolved settings), game.random(),
+//   game.addCircle(props), game.spawnCircle(type, x, y, radius) (a full spawn, running the
+//   type's spawn hook; type undefined rolls one from the level's weights),
+//   game.removeCircle(circle), game.emit(type, payload) and
+//   game.after(delay, action, clock) to run something later in game time (see js/scheduler.js).
+// Hooks must only draw randomness from game.random() and only wait through game.after(),
+// never setTimeout, so pausing stops them and replays stay exact.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.circleTypes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SPLITTER_CHILD_DRIFT = 30; // pixels per second
+    const FUSE_BONUS = 25;           // extra points for defusing a fuse with a click
+
+    // Bosses lose a point of health per click and change behaviour as their health drops
+    const BOSS_PHASES = ['armored', 'drifting', 'fuse'];   // in order, from full health down
+    const BOSS_ARMOR_DAMAGE = 0.5;   // damage per click while armored
+    const BOSS_BLAST_DAMAGE = 4;     // damage from being caught in a blast
+    const BOSS_DRIFT_FACTOR = 1.5;   // drifting phase speed, as a multiple of the level's driftSpeed
+    const BOSS_BONUS_PER_HP = 10;    // points for beating it (click or blast), per point of starting health
+
+    const registry = {};
+    const order = [];
+
+    // Default click behaviour: circles with clicks to spare take damage, the last click pops
+    function takeClick(circle) {
+        if (circle.clicks > 1) {
+            circle.clicks--;
+            circle.damaged = true;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Add a circle type, or replace one with the same name.
+     * @param {Object} def Type definition
+     * @param {string} def.name Identifier used in level packs and on circles
+     * @param {string} def.label Name shown in legends and the editor
+     * @param {string} [def.description] One-line explanation for the help overlay
+     * @param {Object} def.appearance Colours: fill and border as [CSS custom property, fallback],
+     *   borderWidth in pixels, particles as { fill, glow } colours for pop bursts, and an optional
+     *   marker ('ring', 'arrow', 'split' or 'dashes') drawn inside the circle with colourblind
+     *   palettes so the type doesn't rest on colour alone
+     * @param {Function} [def.spawn] (circle, game) Set up a freshly spawned circle
+     * @param {Function} [def.hit] (circle, game) => boolean: handle a click, returning true to pop
+     * @param {Function} [def.update] (circle, dt, game) Per-tick behaviour after growth and drift
+     * @param {Function} [def.pop] (circle, cause, game) Side effects of popping; cause is 'click' or 'bomb'
+     * @param {Function} [def.bonus] (circle, cause, game) => number: extra points on top of the size-based score
+     * @param {Function} [def.blast] (circle, game) => boolean: handle being caught in a blast, returning
+     *   true to pop (the default)
+     * @param {boolean} [def.scripted] Only the game itself spawns it; level packs can't weight or wave it
+     * @param {boolean} [def.merges] Whether two that touch fuse into one on levels with physics
+     *   merging on (default true)
+     * @returns {Object} The registered definition
+     */
+    function registerCircleType(def) {
+        if (!def || typeof def.name !== 'string' || !def.name) throw new Error('Circle type needs a name');
+        if (!def.appearance) throw new Error('Circle type "' + def.name + '" needs an appearance');
+        const type = Object.assign({ label: def.name, description: '', hit: takeClick, merges: true }, def);
+        type.appearance = Object.assign({ borderWidth: 2 }, def.appearance);
+        if (!registry[type.name]) order.push(type.name);
+        registry[type.name] = type;
+        return type;
+    }
+
+    /**
+     * Look up a circle type.
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    function getCircleType(name) {
+        return Object.prototype.hasOwnProperty.call(registry, name) ? registry[name] : null;
+    }
+
+    /**
+     * Names of all registered types, in registration order.
+     * @returns {string[]}
+     */
+    function circleTypeNames() {
+        return order.slice();
+    }
+
+    /**
+     * Names of the types level packs may use in weights and waves (everything but scripted types).
+     * @returns {string[]}
+     */
+    function spawnableTypeNames() {
+        return order.filter((name) => !registry[name].scripted);
+    }
+
+    /**
+     * CSS colour for a type's swatch, using the theme's custom property when it is set.
+     * @param {string} name
+     * @returns {string}
+     */
+    function swatchColor(name) {
+        const type = getCircleType(name);
+        if (!type) return 'transparent';
+        return 'var(' + type.appearance.fill[0] + ', ' + type.appearance.fill[1] + ')';
+    }
+
+    // ── Built-in types ──
+
+    registerCircleType({
+        name: 'normal',
+        label: 'Normal',
+        description: 'Pops with one click.',
+        appearance: {
+            fill: ['--circle-normal', 'rgba(0, 166, 255, 0.7)'],
+            border: ['--circle-border-normal', '#00a6ff'],
+            particles: { fill: '#00a6ff', glow: '#00c8ff' }
+        }
+    });
+
+    registerCircleType({
+        name: 'armored',
+        label: 'Armored',
+        description: 'Takes several clicks; turns orange once damaged.',
+        appearance: {
+            fill: ['--circle-armored', 'rgba(102, 49, 169, 0.7)'],
+            border: ['--circle-border-armored', '#5e2d9f'],
+            borderWidth: 3,
+            particles: { fill: '#6631a9', glow: '#9b59d0' },
+            marker: 'ring'
+        },
+        spawn(circle, game) {
+            circle.clicks = game.config.armorClicks;
+        }
+    });
+
+    registerCircleType({
+        name: 'drifter',
+        label: 'Drifter',
+        description: 'Wanders across the board and bounces off the edges.',
+        appearance: {
+            fill: ['--circle-drifter', 'rgba(15, 157, 88, 0.7)'],
+            border: ['--circle-border-drifter', '#0f9d58'],
+            particles: { fill: '#0f9d58', glow: '#34d88a' },
+            marker: 'arrow'
+        },
+        spawn(circle, game) {
+            const angle = game.random() * Math.PI * 2;
+            circle.driftX = Math.cos(angle) * game.config.driftSpeed;
+            circle.driftY = Math.sin(angle) * game.config.driftSpeed;
+        }
+    });
+
+    registerCircleType({
+        name: 'splitter',
+        label: 'Splitter',
+        description: 'Splits into two faster-growing halves when clicked.',
+        appearance: {
+            fill: ['--circle-splitter', 'rgba(250, 191, 59, 0.75)'],
+            border: ['--circle-border-splitter', '#f3c14d'],
+            particles: { fill: '#fabf3b', glow: '#ffe066' },
+            marker: 'split'
+        },
+        // Children inherit position and half the radius, grow faster, and may drift
+        pop(parent, cause, game) {
+            if (cause !== 'click') return;
+            for (let i = 0; i < 2; i++) {
+                const angle = game.random() * Math.PI * 2;
+                const child = {
+                    x: parent.x + Math.cos(angle) * parent.radius,
+                    y: parent.y + Math.sin(angle) * parent.radius,
+                    radius: Math.max(10, parent.radius / 2),
+                    growth: parent.growth * 1.2,
+                    isChild: true
+                };
+                if (game.random() < 0.5) {
+                    const driftAngle = game.random() * Math.PI * 2;
+                    child.driftX = Math.cos(driftAngle) * SPLITTER_CHILD_DRIFT;
+                    child.driftY = Math.sin(driftAngle) * SPLITTER_CHILD_DRIFT;
+                    child.type = 'drifter';
+                }
+                game.addCircle(child);
+            }
+        }
+    });
+
+    // Scale every circle but the fuse itself: popped fuses shrink the board, blown ones swell it
+    function fuseBlast(fuse, factor, game) {
+        for (const c of game.state.circles) {
+            if (c === fuse) continue;
+            c.radius = Math.max(c.radius * factor, 5);
+        }
+    }
+
+    registerCircleType({
+        name: 'fuse',
+        label: 'Fuse',
+        description: 'Pop it in time to shrink every other circle; if its fuse runs out they all grow.',
+        appearance: {
+            fill: ['--circle-fuse', 'rgba(255, 82, 82, 0.75)'],
+            border: ['--circle-border-fuse', '#ff5252'],
+            particles: { fill: '#ff5252', glow: '#ff8a80' },
+            marker: 'dashes'
+        },
+        spawn(circle, game) {
+            circle.fuseTimeLeft = game.config.fuseTime;
+        },
+        update(circle, dt, game) {
+            circle.fuseTimeLeft -= dt;
+            if (circle.fuseTimeLeft > 0) return;
+            fuseBlast(circle, 1.2, game);
+            game.emit('fuseExpire', { circle });
+            game.removeCircle(circle);
+        },
+        pop(circle, cause, game) {
+            if (cause === 'click') fuseBlast(circle, 0.8, game);
+        },
+        bonus(circle, cause) {
+            return cause === 'click' ? FUSE_BONUS : 0;
+        }
+    });
+
+    // ── Boss ──
+    // Spawned by the simulation on boss levels (see `boss` in js/levels.js). Its health bar
+    // is `hp` out of `maxHp`; the phase follows the share of health left.
+
+    function bossPhase(circle) {
+        const share = Math.max(0, circle.hp) / circle.maxHp;
+        return Math.min(BOSS_PHASES.length - 1, Math.floor((1 - share) * BOSS_PHASES.length));
+    }
+
+    function enterBossPhase(circle, phase, game) {
+        circle.phase = phase;
+        const behaviour = BOSS_PHASES[phase];
+        circle.driftX = 0;
+        circle.driftY = 0;
+        circle.fuseTimeLeft = null;
+        if (behaviour === 'drifting') {
+            const angle = game.random() * Math.PI * 2;
+            circle.driftX = Math.cos(angle) * game.config.driftSpeed * BOSS_DRIFT_FACTOR;
+            circle.driftY = Math.sin(angle) * game.config.driftSpeed * BOSS_DRIFT_FACTOR;
+        } else if (behaviour === 'fuse') {
+            circle.fuseTimeLeft = game.config.fuseTime;
+        }
+        game.emit('bossPhase', { circle, phase, behaviour });
+    }
+
+    // Returns true once the boss is out of health
+    function damageBoss(circle, amount, game) {
+        circle.hp = Math.max(0, circle.hp - amount);
+        if (circle.hp <= 0) return true;
+        const phase = bossPhase(circle);
+        if (phase !== circle.phase) enterBossPhase(circle, phase, game);
+        return false;
+    }
+
+    registerCircleType({
+        name: 'boss',
+        label: 'Boss',
+        description: 'Guards every fifth level. Wear its health down before time runs out: it starts armored, then drifts, then carries a fuse, calling in minions all along.',
+        scripted: true,
+        merges: false,
+        appearance: {
+            fill: ['--circle-boss', 'rgba(183, 28, 28, 0.75)'],
+            border: ['--circle-border-boss', '#ff1744'],
+            borderWidth: 5,
+            particles: { fill: '#ff1744', glow: '#ff8a80' }
+        },
+        spawn(circle, game) {
+            const boss = game.config.boss;
+            circle.maxHp = circle.hp = boss.hp;
+            circle.growth = boss.growth;
+            circle.minionWait = boss.minionInterval;
+            enterBossPhase(circle, 0, game);
+        },
+        hit(circle, game) {
+            return damageBoss(circle, BOSS_PHASES[circle.phase] === 'armored' ? BOSS_ARMOR_DAMAGE : 1, game);
+        },
+        blast(circle, game) {
+            return damageBoss(circle, BOSS_BLAST_DAMAGE, game);
+        },
+        update(circle, dt, game) {
+            circle.minionWait -= dt;
+            if (circle.minionWait <= 0) {
+                circle.minionWait = game.config.boss.minionInterval;
+                // minions appear at the boss's edge, from the level's usual mix of types
+                const angle = game.random() * Math.PI * 2;
+                const { width, height } = game.state;
+                const x = Math.min(width - 15, Math.max(15, circle.x + Math.cos(angle) * circle.radius));
+                const y = Math.min(height - 15, Math.max(15, circle.y + Math.sin(angle) * circle.radius));
+                game.spawnCircle(undefined, x, y);
+            }
+            if (circle.fuseTimeLeft === null) return;
+            circle.fuseTimeLeft -= dt;
+            if (circle.fuseTimeLeft > 0) return;
+            // its fuse swells the minions like a fuse circle's would, then relights
+            fuseBlast(circle, 1.2, game);
+            game.emit('fuseExpire', { circle });
+            circle.fuseTimeLeft = game.config.fuseTime;
+        },
+        bonus(circle) {
+            return BOSS_BONUS_PER_HP * circle.maxHp;
+        }
+    });
+
+    return { registerCircleType, getCircleType, circleTypeNames, spawnableTypeNames, swatchColor, BOSS_PHASES };
+});
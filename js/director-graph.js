@@ -0,0 +1,86 @@
+// Director debug graph
+// Plots the adaptive director's decisions for the run in progress on a small canvas in the
+// debug panel: its difficulty offset (up is harder) and the strain it read from the board
+// (up is the player struggling), one point per decision, with the latest knob settings and
+// metrics written out beside it.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.directorGraph = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STRAIN_COLOR = '#ff5252';
+    const PADDING = 4;
+
+    /**
+     * Draw a simulation's director history.
+     * @param {Object} sim Simulation created by CircleSurvival.sim.createSimulation
+     * @param {Object} elements
+     * @param {HTMLCanvasElement} elements.canvas Where the graph goes
+     * @param {HTMLElement} elements.readout Text line for the latest decision
+     * @returns {Object} Graph with render()
+     */
+    function createDirectorGraph(sim, elements) {
+        const { canvas, readout } = elements;
+        const ctx = canvas.getContext('2d');
+
+        function line(history, value, color) {
+            const width = canvas.width - PADDING * 2;
+            const height = canvas.height - PADDING * 2;
+            const span = Math.max(1, history.length - 1);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            history.forEach((decision, i) => {
+                const x = PADDING + (i / span) * width;
+                const y = PADDING + (1 - (value(decision) + 1) / 2) * height;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        }
+
+        /**
+         * Redraw from the director's history. Cheap enough to call after every decision.
+         */
+        function render() {
+            const director = sim.getDirector();
+            const css = getComputedStyle(canvas);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.strokeStyle = css.getPropertyValue('--text-secondary').trim() || '#a5b9d2';
+            ctx.globalAlpha = 0.4;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, canvas.height / 2);
+            ctx.lineTo(canvas.width, canvas.height / 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+            if (!director.enabled) {
+                readout.textContent = 'Adaptive difficulty is off for this run (turn it on in Settings).';
+                return;
+            }
+            const history = director.history;
+            line(history, (decision) => decision.strain, STRAIN_COLOR);
+            line(history, (decision) => decision.offset, css.getPropertyValue('--primary-color').trim() || '#007acc');
+            const last = history[history.length - 1];
+            if (!last) {
+                readout.textContent = 'No decisions yet.';
+                return;
+            }
+            const { tuning, metrics } = last;
+            readout.textContent = 'Offset ' + last.offset.toFixed(2) + ', strain ' + last.strain.toFixed(2) +
+                ' — spawn gap ×' + tuning.spawn.toFixed(2) + ', growth ×' + tuning.growth.toFixed(2) +
+                ', specials ×' + tuning.special.toFixed(2) + '. Fill ' + Math.round(metrics.fill * 100) + '%, reaction ' +
+                metrics.reaction.toFixed(1) + 's, ' + metrics.count + ' circles, ' + metrics.rescues.toFixed(1) + ' recent power-ups.';
+        }
+
+        return { render };
+    }
+
+    return { createDirectorGraph };
+});
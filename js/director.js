@@ -0,0 +1,161 @@
+// Adaptive difficulty director
+// An optional layer over the level pack that watches how the player is coping and leans on
+// three knobs within fixed bounds: the gap between spawns, how fast new circles grow and how
+// often special circle types turn up. Every couple of seconds of game time it reads a handful
+// of live metrics (how long circles live before being clicked, how close the biggest circle
+// is to filling the board, how many circles are out and how often power-ups are fired to get
+// out of trouble), folds them into a single strain figure and moves its difficulty offset
+// against it: a struggling player gets a gentler game, a comfortable one a busier board.
+//
+// The simulation owns the director, feeds it and reads its tuning, so it runs on game time
+// from data alone and replays stay exact. Nothing here touches the DOM.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.director = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const INTERVAL = 2;              // seconds of game time between two decisions
+    const ADJUST_RATE = 0.06;        // offset moved per second of full strain
+    const MAX_HISTORY = 300;         // decisions kept for the debug graph (10 minutes)
+    const REACTION_SMOOTHING = 0.2;  // weight of the newest pop in the reaction average
+    const FILL_SMOOTHING = 0.5;      // weight of the newest sample in the fill average
+    const RESCUE_WINDOW = 20;        // seconds over which power-up use fades from memory
+
+    // How far the knobs may move at full offset, as multipliers of the pack's values
+    const BOUNDS = {
+        spawn: { easy: 1.35, hard: 0.75 },     // gap between spawns
+        growth: { easy: 0.8, hard: 1.2 },      // growth rate of new circles
+        special: { easy: 0.4, hard: 1.6 }      // weight of every type but normal
+    };
+
+    // Each metric's neutral value, the distance from it that counts as full strain, and its
+    // share of the total. Positive strain means the player is struggling.
+    const METRICS = {
+        fill: { neutral: 0.45, span: 0.35, weight: 0.4 },        // biggest radius / largest allowed
+        reaction: { neutral: 1.6, span: 1.2, weight: 0.25 },     // seconds from spawn to click
+        count: { neutral: 8, span: 8, weight: 0.2 },             // circles on the board
+        rescues: { neutral: 0.5, span: 1.5, weight: 0.15 }       // power-ups fired lately
+    };
+
+    const NEUTRAL = { spawn: 1, growth: 1, special: 1 };
+
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    // A knob's multiplier at an offset between -1 (easiest) and 1 (hardest)
+    function knob(bounds, offset) {
+        return 1 + (offset < 0 ? bounds.easy - 1 : bounds.hard - 1) * Math.abs(offset);
+    }
+
+    /**
+     * Create a director. It starts switched off; reset(true) switches it on for a run.
+     * @returns {Object} Director with enabled, offset, tuning and history, plus reset,
+     *   notePop, notePowerUp and update
+     */
+    function createDirector() {
+        const director = {
+            enabled: false,
+            offset: 0,               // -1 (easiest) … 1 (hardest)
+            tuning: Object.assign({}, NEUTRAL),
+            history: [],             // decisions, oldest first
+            reset,
+            notePop,
+            notePowerUp,
+            update
+        };
+        let reaction = METRICS.reaction.neutral;
+        let fill = 0;
+        let rescues = 0;
+        let sinceDecision = 0;
+        let time = 0;
+
+        /**
+         * Forget the last run and switch on or off for the next one.
+         * @param {boolean} enabled
+         */
+        function reset(enabled) {
+            director.enabled = !!enabled;
+            director.offset = 0;
+            director.tuning = Object.assign({}, NEUTRAL);
+            director.history = [];
+            reaction = METRICS.reaction.neutral;
+            fill = 0;
+            rescues = 0;
+            sinceDecision = 0;
+            time = 0;
+        }
+
+        /**
+         * A circle was popped.
+         * @param {number} age Seconds it lived
+         * @param {string} cause 'click' or 'bomb'; only clicks say anything about reactions
+         */
+        function notePop(age, cause) {
+            if (cause !== 'click') return;
+            reaction += (age - reaction) * REACTION_SMOOTHING;
+        }
+
+        // A power-up was fired: usually a sign the board got away from the player
+        function notePowerUp() {
+            rescues++;
+        }
+
+        // Each metric's strain, from -1 (coasting) to 1 (swamped)
+        function strains(count) {
+            const metric = (name, value) => clamp((value - METRICS[name].neutral) / METRICS[name].span, -1, 1);
+            return {
+                fill: metric('fill', fill),
+                reaction: metric('reaction', reaction),
+                count: metric('count', count),
+                rescues: metric('rescues', rescues)
+            };
+        }
+
+        /**
+         * Advance by one slice of game time and decide when a decision is due.
+         * @param {number} dt Seconds of game time
+         * @param {Object} board { fill, count }: biggest radius over the largest allowed, and
+         *   the number of circles out
+         * @returns {Object|null} The decision when one was made: { time, offset, strain, tuning, metrics }
+         */
+        function update(dt, board) {
+            if (!director.enabled) return null;
+            time += dt;
+            rescues *= Math.exp(-dt / RESCUE_WINDOW);
+            sinceDecision += dt;
+            if (sinceDecision < INTERVAL) return null;
+            sinceDecision -= INTERVAL;
+            fill += (board.fill - fill) * FILL_SMOOTHING;
+            const parts = strains(board.count);
+            let strain = 0;
+            for (const name in parts) strain += parts[name] * METRICS[name].weight;
+            director.offset = clamp(director.offset - strain * ADJUST_RATE * INTERVAL, -1, 1);
+            director.tuning = {
+                spawn: knob(BOUNDS.spawn, director.offset),
+                growth: knob(BOUNDS.growth, director.offset),
+                special: knob(BOUNDS.special, director.offset)
+            };
+            const decision = {
+                time,
+                offset: director.offset,
+                strain,
+                tuning: director.tuning,
+                metrics: { fill, reaction, count: board.count, rescues }
+            };
+            director.history.push(decision);
+            if (director.history.length > MAX_HISTORY) director.history.shift();
+            return decision;
+        }
+
+        return director;
+    }
+
+    return { createDirector, BOUNDS, METRICS, INTERVAL };
+});
@@ -0,0 +1,288 @@
+// Ghost race
+// A run's progress sampled once per second of play (level, score, circles on the board and
+// how close the biggest of them came to filling it), plus a split for every level it
+// finished. The best run in each mode from each starting level is kept in localStorage as a
+// ghost, and a new run from the same start races it: where the ghost stood at the same
+// moment, how far through its level's clock it was, and how each finished level compares.
+// Only runs on the default levels are raced, so a ghost always played the same ladder.
+//
+// Ghost format (JSON):
+//   { v: 1, mode, startLevel, level, score, time, date, samples: [[level, score, circles, fill], ...],
+//     splits: [{ level, score, total, time }, ...] }
+// where samples[i] is the state i seconds into the run, fill is the biggest circle's radius over
+// the largest a circle may reach, and each split is a finished level's points, the run's score
+// and the run time when it ended. level, score and time are where the run stopped.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./levels'), require('./modes'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.ghost = factory(root.CircleSurvival.levels, root.CircleSurvival.modes);
+    }
+})(typeof self !== 'undefined' ? self : this, function (levels, modes) {
+    'use strict';
+
+    const GHOST_VERSION = 1;
+    const STORAGE_KEY = 'circleSurvival.ghosts';
+    const MAX_GHOSTS = 12;       // the ghosts set longest ago are dropped past this
+    const MAX_SAMPLES = 1800;    // half an hour; a longer run's ghost holds its last sample
+    const LEVEL_TIE = 0.01;      // share of the timer bar within which the run and ghost are level
+
+    // Ghosts are kept per mode and starting level
+    function ghostKey(mode, startLevel) {
+        return mode + '@' + startLevel;
+    }
+
+    function isGhost(ghost) {
+        return !!ghost && ghost.v === GHOST_VERSION && typeof ghost.mode === 'string' &&
+            Array.isArray(ghost.samples) && Array.isArray(ghost.splits) &&
+            typeof ghost.score === 'number' && typeof ghost.time === 'number';
+    }
+
+    /**
+     * Whether a finished run beats a ghost, by the record its mode keeps: the level reached
+     * (then the score) or the score alone.
+     * @param {Object} run
+     * @param {Object} ghost
+     * @returns {boolean}
+     */
+    function beats(run, ghost) {
+        const byScore = modes.getMode(run.mode).record === 'score';
+        if (!byScore && run.level !== ghost.level) return run.level > ghost.level;
+        return run.score > ghost.score;
+    }
+
+    /**
+     * Create the ghost store backed by localStorage.
+     * @param {Storage} [storage] Where ghosts are kept; without one they last for the visit
+     * @returns {Object} Store with get(mode, startLevel), offer(run) and clear()
+     */
+    function createGhostStore(storage) {
+        let ghosts = load();
+
+        function load() {
+            const kept = {};
+            try {
+                const saved = storage ? JSON.parse(storage.getItem(STORAGE_KEY)) : null;
+                for (const key in saved || {}) {
+                    if (isGhost(saved[key])) kept[key] = saved[key];
+                }
+            } catch (err) {
+                // unreadable ghosts are replaced on the next save
+            }
+            return kept;
+        }
+
+        function save() {
+            if (!storage) return;
+            try {
+                storage.setItem(STORAGE_KEY, JSON.stringify(ghosts));
+            } catch (err) {
+                // storage full or blocked: the ghost lasts for this visit
+            }
+        }
+
+        /**
+         * The ghost to race for a mode and starting level.
+         * @param {string} mode
+         * @param {number} startLevel
+         * @returns {Object|null}
+         */
+        function get(mode, startLevel) {
+            const key = ghostKey(mode, startLevel);
+            return Object.prototype.hasOwnProperty.call(ghosts, key) ? ghosts[key] : null;
+        }
+
+        /**
+         * Keep a run as its mode's ghost if it beats the one there.
+         * @param {Object} run Recorded run in the ghost format
+         * @returns {boolean} Whether it became the ghost
+         */
+        function offer(run) {
+            const current = get(run.mode, run.startLevel);
+            if (current && !beats(run, current)) return false;
+            ghosts[ghostKey(run.mode, run.startLevel)] = JSON.parse(JSON.stringify(run));
+            const keys = Object.keys(ghosts).sort((a, b) => (ghosts[b].date < ghosts[a].date ? -1 : 1));
+            for (const key of keys.slice(MAX_GHOSTS)) delete ghosts[key];
+            save();
+            return true;
+        }
+
+        /**
+         * Forget every ghost, in storage too.
+         */
+        function clear() {
+            ghosts = {};
+            if (!storage) return;
+            try {
+                storage.removeItem(STORAGE_KEY);
+            } catch (err) {
+                // storage blocked: there was nothing saved to remove
+            }
+        }
+
+        return { get, offer, clear };
+    }
+
+    /**
+     * Record a simulation's runs and race each against the best one before it. Whether a run
+     * is raced is settled when it starts, so a run is recorded from its first second or not at all.
+     * @param {Object} sim Simulation to follow
+     * @param {Object} store Ghost store
+     * @param {Object} [options]
+     * @param {Function} [options.isCounted] Returns false while runs shouldn't be raced (replays, previews)
+     * @param {Function} [options.isEnabled] Returns false while the ghost race is switched off
+     * @returns {Object} Race with update(), standing(), marker(), splits() and `rival`, the ghost
+     *   being raced (null when there is none)
+     */
+    function createGhostRace(sim, store, options) {
+        const opts = options || {};
+        const counted = () => !opts.isCounted || opts.isCounted();
+        const enabled = () => !opts.isEnabled || opts.isEnabled();
+        let recording = null;    // the run in progress, while one is being recorded
+
+        const race = { rival: null, update, standing, marker, splits };
+
+        function sample() {
+            const { level, score, circles, boss } = sim.state;
+            let biggest = 0;
+            for (const circle of circles) {
+                if (circle !== boss) biggest = Math.max(biggest, circle.radius);
+            }
+            return [level, score, circles.length, Math.round((biggest / sim.maxRadius()) * 100) / 100];
+        }
+
+        function split(level, levelScore, score) {
+            if (!recording) return;
+            recording.splits.push({ level, score: levelScore, total: score, time: sim.state.runTime });
+        }
+
+        function finish(level, score) {
+            if (!recording || !counted()) return;
+            recording.level = level;
+            recording.score = score;
+            recording.time = sim.state.runTime;
+            recording.date = new Date().toISOString();
+            store.offer(recording);
+        }
+
+        sim.on('reset', ({ level, mode }) => {
+            const racing = enabled() && counted() && sim.getPack() === levels.DEFAULT_PACK;
+            recording = racing ? {
+                v: GHOST_VERSION, mode, startLevel: level, level, score: 0, time: 0, date: '', samples: [], splits: []
+            } : null;
+            race.rival = racing ? store.get(mode, level) : null;
+        });
+        sim.on('levelUp', ({ completedLevel, levelScore, score }) => split(completedLevel, levelScore, score));
+        sim.on('levelComplete', ({ level, levelScore, score }) => {
+            split(level, levelScore, score);
+            // runs that never end are kept level by level, like their leaderboard places
+            const mode = sim.getMode();
+            if (mode.overflow === 'shrink' && !mode.timeLimit) finish(level, score);
+        });
+        sim.on('gameOver', ({ level, score }) => finish(level, score));
+
+        /**
+         * Take the samples due since the last call. Call once per frame while playing.
+         */
+        function update() {
+            if (!recording || sim.state.status !== 'running') return;
+            const due = Math.min(MAX_SAMPLES, Math.floor(sim.state.runTime) + 1);
+            while (recording.samples.length < due) recording.samples.push(sample());
+        }
+
+        /**
+         * Where the ghost stood at this moment of the run, against where the run stands.
+         * @returns {Object|null} { level, score, circles, fill, ended, scoreDelta, levelDelta,
+         *   circleDelta, fillDelta }, or null when there is no ghost to race. Score and level deltas
+         *   are positive when the run is ahead; circle and fill deltas are positive when the run's
+         *   board is fuller, and null once the ghost's run has stopped
+         */
+        function standing() {
+            const ghost = race.rival;
+            if (!ghost) return null;
+            const { runTime, level, score } = sim.state;
+            const ended = runTime >= ghost.time;
+            const at = ghost.samples[Math.min(Math.floor(runTime), ghost.samples.length - 1)] || [ghost.startLevel, 0, 0, 0];
+            const then = ended ? [ghost.level, ghost.score, 0, 0] : at;
+            const now = sample();
+            return {
+                level: then[0],
+                score: then[1],
+                circles: then[2],
+                fill: then[3],
+                ended,
+                scoreDelta: score - then[1],
+                levelDelta: level - then[0],
+                circleDelta: ended ? null : now[2] - then[2],
+                fillDelta: ended ? null : Math.round((now[3] - then[3]) * 100) / 100
+            };
+        }
+
+        // The level the ghost was on at a run time, and the run time that level began, from its
+        // splits; past the end of its run it stays where it stopped
+        function ghostLevelAt(ghost, time) {
+            let level = ghost.startLevel;
+            let start = 0;
+            for (const entry of ghost.splits) {
+                if (entry.time > time) break;
+                level = entry.level + 1;
+                start = entry.time;
+            }
+            return { level, start };
+        }
+
+        /**
+         * Where the ghost is on the timer bar at this moment: how far through its level's clock
+         * it is, or in timed modes the run's clock, frozen where its run stopped. Only given while
+         * the ghost is on the level being played, since the bar shows that level's clock.
+         * @returns {Object|null} { left, ahead, behind }: the ghost's bar end as a fraction from the
+         *   left, and whether the run is further through the level than the ghost or less far; or null
+         */
+        function marker() {
+            const ghost = race.rival;
+            if (!ghost) return null;
+            const mode = sim.getMode();
+            const time = Math.min(sim.state.runTime, ghost.time);
+            let left;
+            let own;
+            if (mode.timeLimit) {
+                left = (mode.timeLimit - time) / mode.timeLimit;
+                own = (mode.timeLimit - sim.state.runTime) / mode.timeLimit;
+            } else {
+                const { level, start } = ghostLevelAt(ghost, time);
+                if (level !== sim.state.level) return null;
+                const { duration, timeLeft } = sim.state;
+                left = (duration - (time - start)) / duration;
+                own = timeLeft / duration;
+            }
+            left = Math.min(1, Math.max(0, left));
+            return { left, ahead: own < left - LEVEL_TIE, behind: own > left + LEVEL_TIE };
+        }
+
+        /**
+         * This run's finished levels beside the ghost's.
+         * @returns {Object[]} [{ level, score, total, ghostScore, ghostTotal }], the ghost's values
+         *   null for levels it never finished
+         */
+        function splits() {
+            const ghost = race.rival;
+            if (!ghost || !recording) return [];
+            return recording.splits.map(({ level, score, total }) => {
+                const theirs = ghost.splits.find((entry) => entry.level === level);
+                return {
+                    level,
+                    score,
+                    total,
+                    ghostScore: theirs ? theirs.score : null,
+                    ghostTotal: theirs ? theirs.total : null
+                };
+            });
+        }
+
+        return race;
+    }
+
+    return { createGhostStore, createGhostRace, GHOST_VERSION };
+});
@@ -0,0 +1,593 @@
+// Level editor
+// A side panel for building level packs in the browser: sliders for each level's spawn
+// curve, circle type weights, time warp, circle physics and power-up pickup rules, a
+// timeline of scripted spawns, and export/import of the pack as a JSON file. Every edit is
+// validated with the same rules as a loaded pack and handed to the page so a running
+// preview picks it up at once.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./levels'), require('./circle-types'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.levelEditor = factory(root.CircleSurvival.levels, root.CircleSurvival.circleTypes);
+    }
+})(typeof self !== 'undefined' ? self : this, function (levels, circleTypes) {
+    'use strict';
+
+    // Sliders for per-level settings; `path` is where the value lives in a level object
+    const LEVEL_FIELDS = [
+        { path: ['duration'], label: 'Duration', min: 5, max: 120, step: 1, unit: 's' },
+        { path: ['spawn', 'start'], label: 'First spawn gap', min: 100, max: 5000, step: 10, unit: 'ms' },
+        { path: ['spawn', 'acceleration'], label: 'Gap multiplier', min: 0.5, max: 1.5, step: 0.01, unit: '×' },
+        { path: ['spawn', 'min'], label: 'Shortest gap', min: 50, max: 2000, step: 10, unit: 'ms' },
+        { path: ['growth'], label: 'Growth', min: 0, max: 80, step: 1, unit: 'px/s' },
+        { path: ['driftSpeed'], label: 'Drift speed', min: 0, max: 200, step: 5, unit: 'px/s' },
+        { path: ['fuseTime'], label: 'Fuse time', min: 0.5, max: 10, step: 0.1, unit: 's' },
+        { path: ['armorClicks'], label: 'Armor clicks', min: 1, max: 6, step: 1, unit: '' },
+        { path: ['bomb', 'threshold'], label: 'Pickups at', min: 0, max: 50, step: 1, unit: 'circles' },
+        { path: ['bomb', 'cooldown'], label: 'Pickup cooldown', min: 0, max: 30, step: 0.5, unit: 's' }
+    ];
+
+    const WARP_FIELDS = [
+        { path: ['warp', 'start'], label: 'First warp', min: 0, max: 60, step: 0.5, unit: 's' },
+        { path: ['warp', 'interval'], label: 'Every', min: 1, max: 60, step: 0.5, unit: 's' },
+        { path: ['warp', 'duration'], label: 'Lasts', min: 0.5, max: 20, step: 0.5, unit: 's' },
+        { path: ['warp', 'factor'], label: 'Gap factor', min: 0.1, max: 1, step: 0.05, unit: '×' }
+    ];
+    const NEW_WARP = { start: 8, interval: 8, duration: 3, factor: 0.5 };
+
+    const PHYSICS_FIELDS = [
+        { path: ['physics', 'push'], label: 'Push', min: 0.05, max: 1, step: 0.05, unit: '' }
+    ];
+    const NEW_PHYSICS = { push: 0.5, merge: false };
+
+    const WAVE_FIELDS = [
+        { path: ['count'], label: 'Count', min: 1, max: 20, step: 1, unit: '' },
+        { path: ['radius'], label: 'Radius', min: 5, max: 100, step: 1, unit: 'px' }
+    ];
+    const POSITION_FIELDS = [
+        { path: ['x'], label: 'X', min: 0, max: 1, step: 0.01, unit: '' },
+        { path: ['y'], label: 'Y', min: 0, max: 1, step: 0.01, unit: '' }
+    ];
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    function formatValue(value, step) {
+        const decimals = (String(step).split('.')[1] || '').length;
+        return Number(value).toFixed(decimals);
+    }
+
+    function label(type) {
+        return circleTypes.getCircleType(type).label;
+    }
+
+    function swatch(type) {
+        const dot = document.createElement('span');
+        dot.className = 'dot';
+        dot.style.backgroundColor = circleTypes.swatchColor(type);
+        return dot;
+    }
+
+    function fileName(pack) {
+        const slug = (pack.name || 'level-pack').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return (slug || 'level-pack') + '.json';
+    }
+
+    /**
+     * Create the level editor.
+     * @param {Object} elements Panel controls: panel, closeBtn, packName, levelSelect, addLevelBtn,
+     *   removeLevelBtn, fields, weights, warpToggle, warpFields, physicsToggle, physicsFields, palette,
+     *   timeline, timelineEnd,
+     *   waveFields, status, previewBtn, playBtn, exportBtn, importBtn, importInput
+     * @param {Object} [options]
+     * @param {Function} [options.onChange] Called with (pack) after every valid edit
+     * @param {Function} [options.onPreview] Called with (pack, level) to start a preview of a level
+     * @param {Function} [options.onStopPreview] Called when the preview is stopped from the panel
+     * @param {Function} [options.onPlay] Called with a copy of the pack to play it as a normal run
+     * @param {Function} [options.onClose] Called when the panel is closed
+     * @returns {Object} Editor with open(pack), close(), setPlayhead(seconds), previewEnded(message)
+     *   and an `active` flag
+     */
+    function createLevelEditor(elements, options) {
+        const opts = options || {};
+        const el = elements;
+        let pack = null;
+        let levelIndex = 0;
+        let selectedWave = -1;
+        let paletteType = circleTypes.spawnableTypeNames()[0];
+        let previewing = false;
+        let valid = true;
+        let weightOutputs = {};
+
+        const editor = { active: false, open, close, setPlayhead, previewEnded };
+
+        // ── Pack access ──
+
+        function level() {
+            return pack.levels[levelIndex];
+        }
+
+        function resolved() {
+            return levels.resolveLevel(pack, levelIndex + 1);
+        }
+
+        function readPath(obj, path) {
+            return path.reduce((value, key) => (value == null ? undefined : value[key]), obj);
+        }
+
+        // Write a value into a level, copying inherited nested objects (spawn, bomb, warp, physics) first
+        function writePath(target, path, value, inherited) {
+            if (path.length === 1) {
+                target[path[0]] = value;
+                return;
+            }
+            const key = path[0];
+            // warp and physics replace rather than merge, so start from the whole inherited object
+            const replaces = key === 'warp' || key === 'physics';
+            target[key] = Object.assign({}, replaces ? inherited[key] : target[key], target[key]);
+            target[key][path[1]] = value;
+        }
+
+        // ── Controls ──
+
+        function makeSlider(container, field, value, onInput) {
+            const row = document.createElement('label');
+            row.className = 'editor-field';
+            const name = document.createElement('span');
+            name.className = 'editor-field-label';
+            name.textContent = field.label;
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+            input.value = value;
+            const output = document.createElement('output');
+            output.className = 'editor-field-value';
+            const show = (v) => { output.textContent = formatValue(v, field.step) + (field.unit ? ' ' + field.unit : ''); };
+            show(value);
+            input.addEventListener('input', () => {
+                const v = parseFloat(input.value);
+                show(v);
+                onInput(v);
+            });
+            row.append(name, input, output);
+            container.appendChild(row);
+            return { row, input, output };
+        }
+
+        function makeCheckbox(container, text, checked, onChange) {
+            const row = document.createElement('label');
+            row.className = 'editor-field editor-check';
+            const name = document.createElement('span');
+            name.className = 'editor-field-label';
+            name.textContent = text;
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = checked;
+            input.addEventListener('change', () => onChange(input.checked));
+            row.append(name, input);
+            container.appendChild(row);
+            return { row, input };
+        }
+
+        function renderLevelSelect() {
+            el.levelSelect.innerHTML = '';
+            pack.levels.forEach((_, i) => {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = 'Level ' + (i + 1);
+                el.levelSelect.appendChild(option);
+            });
+            el.levelSelect.value = levelIndex;
+            el.removeLevelBtn.disabled = pack.levels.length <= 1;
+        }
+
+        function renderFields() {
+            const settings = resolved();
+            el.fields.innerHTML = '';
+            for (const field of LEVEL_FIELDS) {
+                makeSlider(el.fields, field, readPath(settings, field.path), (v) => {
+                    writePath(level(), field.path, v, settings);
+                    if (field.path[0] === 'duration') renderTimeline();
+                    changed();
+                });
+            }
+        }
+
+        function renderWeights() {
+            const weights = resolved().weights;
+            el.weights.innerHTML = '';
+            weightOutputs = {};
+            for (const type of circleTypes.spawnableTypeNames()) {
+                const slider = makeSlider(el.weights, { label: label(type), min: 0, max: 100, step: 0.5, unit: '' }, weights[type] || 0, (v) => {
+                    // the first tweak copies the inherited weights so the others stay put
+                    if (!level().weights) level().weights = Object.assign({}, resolved().weights);
+                    level().weights[type] = v;
+                    refreshShares();
+                    changed();
+                });
+                slider.row.firstChild.prepend(swatch(type));
+                weightOutputs[type] = slider.output;
+            }
+            refreshShares();
+        }
+
+        // Show each weight as its share of the total, which is what players actually see
+        function refreshShares() {
+            const weights = resolved().weights;
+            let total = 0;
+            for (const type in weights) total += weights[type];
+            for (const type in weightOutputs) {
+                const share = total > 0 ? ((weights[type] || 0) / total) * 100 : 0;
+                weightOutputs[type].textContent = Math.round(share) + '%';
+            }
+        }
+
+        function renderWarp() {
+            const settings = resolved();
+            el.warpToggle.checked = !!settings.warp;
+            el.warpFields.innerHTML = '';
+            if (!settings.warp) return;
+            for (const field of WARP_FIELDS) {
+                makeSlider(el.warpFields, field, readPath(settings, field.path), (v) => {
+                    writePath(level(), field.path, v, settings);
+                    changed();
+                });
+            }
+        }
+
+        function renderPhysics() {
+            const settings = resolved();
+            el.physicsToggle.checked = !!settings.physics;
+            el.physicsFields.innerHTML = '';
+            if (!settings.physics) return;
+            for (const field of PHYSICS_FIELDS) {
+                makeSlider(el.physicsFields, field, readPath(settings, field.path), (v) => {
+                    writePath(level(), field.path, v, settings);
+                    changed();
+                });
+            }
+            makeCheckbox(el.physicsFields, 'Merge same types', settings.physics.merge, (checked) => {
+                writePath(level(), ['physics', 'merge'], checked, settings);
+                changed();
+            });
+        }
+
+        function renderPalette() {
+            el.palette.innerHTML = '';
+            for (const type of circleTypes.spawnableTypeNames()) {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'editor-chip' + (type === paletteType ? ' selected' : '');
+                btn.title = 'Click the timeline to place a ' + label(type).toLowerCase() + ' spawn';
+                btn.append(swatch(type), document.createTextNode(label(type)));
+                btn.addEventListener('click', () => {
+                    paletteType = type;
+                    renderPalette();
+                });
+                el.palette.appendChild(btn);
+            }
+        }
+
+        // ── Timeline of scripted spawns ──
+
+        function waves() {
+            if (!level().waves) level().waves = clone(resolved().waves);
+            return level().waves;
+        }
+
+        function timeAt(clientX) {
+            const rect = el.timeline.getBoundingClientRect();
+            const fraction = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+            const t = Math.min(1, Math.max(0, fraction)) * resolved().duration;
+            return Math.round(t * 10) / 10;
+        }
+
+        function renderTimeline() {
+            const duration = resolved().duration;
+            el.timeline.querySelectorAll('.editor-marker').forEach((m) => m.remove());
+            el.timelineEnd.textContent = duration + 's';
+            (level().waves || resolved().waves).forEach((wave, i) => {
+                const marker = document.createElement('button');
+                marker.type = 'button';
+                marker.className = 'editor-marker dot' + (i === selectedWave ? ' selected' : '');
+                marker.style.backgroundColor = circleTypes.swatchColor(wave.type);
+                marker.style.left = Math.min(100, (wave.at / duration) * 100) + '%';
+                marker.title = (wave.count || 1) + '× ' + label(wave.type) + ' at ' + wave.at + 's';
+                if ((wave.count || 1) > 1) marker.textContent = wave.count;
+                marker.addEventListener('pointerdown', (e) => {
+                    e.stopPropagation();
+                    // select in place: re-rendering would drop the marker being dragged
+                    selectedWave = i;
+                    el.timeline.querySelectorAll('.editor-marker').forEach((m) => m.classList.toggle('selected', m === marker));
+                    renderWaveFields();
+                    dragMarker(marker, e);
+                });
+                el.timeline.appendChild(marker);
+            });
+        }
+
+        function dragMarker(marker, downEvent) {
+            if (marker.setPointerCapture) marker.setPointerCapture(downEvent.pointerId);
+            const wave = waves()[selectedWave];
+            const move = (e) => {
+                wave.at = timeAt(e.clientX);
+                marker.style.left = (wave.at / resolved().duration) * 100 + '%';
+                changed();
+            };
+            const up = () => {
+                marker.removeEventListener('pointermove', move);
+                marker.removeEventListener('pointerup', up);
+                renderTimeline();
+                renderWaveFields();
+            };
+            marker.addEventListener('pointermove', move);
+            marker.addEventListener('pointerup', up);
+        }
+
+        el.timeline.addEventListener('pointerdown', (e) => {
+            if (!editor.active) return;
+            waves().push({ at: timeAt(e.clientX), type: paletteType, count: 1 });
+            selectWave(waves().length - 1);
+            changed();
+        });
+
+        function selectWave(i) {
+            selectedWave = i;
+            renderTimeline();
+            renderWaveFields();
+        }
+
+        function renderWaveFields() {
+            el.waveFields.innerHTML = '';
+            const wave = selectedWave >= 0 ? waves()[selectedWave] : null;
+            if (!wave) {
+                el.waveFields.textContent = 'Pick a type, then click the timeline to place a spawn.';
+                return;
+            }
+            const typeRow = document.createElement('label');
+            typeRow.className = 'editor-field';
+            const typeLabel = document.createElement('span');
+            typeLabel.className = 'editor-field-label';
+            typeLabel.textContent = 'Type';
+            const typeSelect = document.createElement('select');
+            for (const type of circleTypes.spawnableTypeNames()) typeSelect.add(new Option(label(type), type));
+            typeSelect.value = wave.type;
+            typeSelect.addEventListener('change', () => {
+                wave.type = typeSelect.value;
+                renderTimeline();
+                changed();
+            });
+            typeRow.append(typeLabel, typeSelect);
+            el.waveFields.appendChild(typeRow);
+
+            const timeField = { path: ['at'], label: 'At', min: 0, max: resolved().duration, step: 0.1, unit: 's' };
+            const sliders = [timeField].concat(WAVE_FIELDS);
+            for (const field of sliders) {
+                const fallback = field.path[0] === 'count' ? 1 : field.path[0] === 'radius' ? 15 : 0;
+                const value = wave[field.path[0]] !== undefined ? wave[field.path[0]] : fallback;
+                makeSlider(el.waveFields, field, value, (v) => {
+                    wave[field.path[0]] = v;
+                    renderTimeline();
+                    changed();
+                });
+            }
+
+            // spawns land at random unless pinned to a spot (fractions of the play area)
+            const pinRow = document.createElement('label');
+            pinRow.className = 'editor-field';
+            const pin = document.createElement('input');
+            pin.type = 'checkbox';
+            pin.checked = wave.x !== undefined;
+            pinRow.append(pin, document.createTextNode(' Fixed position'));
+            el.waveFields.appendChild(pinRow);
+            pin.addEventListener('change', () => {
+                if (pin.checked) {
+                    wave.x = 0.5;
+                    wave.y = 0.5;
+                } else {
+                    delete wave.x;
+                    delete wave.y;
+                }
+                renderWaveFields();
+                changed();
+            });
+            if (pin.checked) {
+                for (const field of POSITION_FIELDS) {
+                    makeSlider(el.waveFields, field, wave[field.path[0]], (v) => {
+                        wave[field.path[0]] = v;
+                        changed();
+                    });
+                }
+            }
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'editor-small-btn';
+            removeBtn.textContent = 'Remove spawn';
+            removeBtn.addEventListener('click', () => {
+                waves().splice(selectedWave, 1);
+                selectWave(-1);
+                changed();
+            });
+            el.waveFields.appendChild(removeBtn);
+        }
+
+        // ── Panel ──
+
+        function renderAll() {
+            el.packName.value = pack.name || '';
+            renderLevelSelect();
+            renderFields();
+            renderWeights();
+            renderWarp();
+            renderPhysics();
+            renderPalette();
+            selectedWave = -1;
+            renderTimeline();
+            renderWaveFields();
+            changed();
+        }
+
+        function setStatus(message, isError) {
+            el.status.textContent = message;
+            el.status.classList.toggle('error', !!isError);
+        }
+
+        // Validate after every edit and pass good packs on to the preview
+        function changed() {
+            const errors = levels.validatePack(pack);
+            valid = errors.length === 0;
+            el.previewBtn.disabled = !valid && !previewing;
+            el.playBtn.disabled = !valid;
+            el.exportBtn.disabled = !valid;
+            if (!valid) {
+                setStatus(errors.join('; '), true);
+                return;
+            }
+            setStatus(previewing ? 'Previewing level ' + (levelIndex + 1) + ' — changes apply as you make them.' : '');
+            if (opts.onChange) opts.onChange(pack);
+        }
+
+        function setPreviewing(on) {
+            previewing = on;
+            el.previewBtn.textContent = on ? 'Stop' : 'Preview';
+            el.previewBtn.disabled = !valid && !on;
+            if (!on) setPlayhead(null);
+        }
+
+        el.packName.addEventListener('input', () => {
+            pack.name = el.packName.value;
+            changed();
+        });
+        el.levelSelect.addEventListener('change', () => {
+            levelIndex = parseInt(el.levelSelect.value, 10);
+            if (previewing) stopPreview();
+            renderAll();
+        });
+        el.addLevelBtn.addEventListener('click', () => {
+            // new levels start as a copy of the one being edited
+            pack.levels.splice(levelIndex + 1, 0, clone(level()));
+            levelIndex++;
+            renderAll();
+        });
+        el.removeLevelBtn.addEventListener('click', () => {
+            if (pack.levels.length <= 1) return;
+            if (previewing) stopPreview();
+            pack.levels.splice(levelIndex, 1);
+            levelIndex = Math.min(levelIndex, pack.levels.length - 1);
+            renderAll();
+        });
+        el.warpToggle.addEventListener('change', () => {
+            level().warp = el.warpToggle.checked ? Object.assign({}, NEW_WARP) : null;
+            renderWarp();
+            changed();
+        });
+        el.physicsToggle.addEventListener('change', () => {
+            level().physics = el.physicsToggle.checked ? Object.assign({}, NEW_PHYSICS) : null;
+            renderPhysics();
+            changed();
+        });
+
+        function stopPreview() {
+            setPreviewing(false);
+            setStatus('');
+            if (opts.onStopPreview) opts.onStopPreview();
+        }
+
+        el.previewBtn.addEventListener('click', () => {
+            if (previewing) {
+                stopPreview();
+                return;
+            }
+            if (!valid) return;
+            setPreviewing(true);
+            changed();
+            if (opts.onPreview) opts.onPreview(pack, levelIndex + 1);
+        });
+        el.playBtn.addEventListener('click', () => {
+            if (valid && opts.onPlay) opts.onPlay(clone(pack));
+        });
+        el.exportBtn.addEventListener('click', () => {
+            if (!valid) return;
+            const blob = new Blob([JSON.stringify(pack, null, 2) + '\n'], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = fileName(pack);
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+        el.importBtn.addEventListener('click', () => el.importInput.click());
+        el.importInput.addEventListener('change', () => {
+            const file = el.importInput.files[0];
+            el.importInput.value = '';
+            if (!file) return;
+            file.text().then((text) => {
+                const imported = levels.parsePack(text);
+                if (previewing) stopPreview();
+                load(imported);
+                setStatus('Imported ' + file.name + '.');
+            }).catch((err) => setStatus('Could not import ' + file.name + ': ' + err.message, true));
+        });
+        el.closeBtn.addEventListener('click', () => close());
+
+        function load(source) {
+            pack = clone(source);
+            levelIndex = 0;
+            renderAll();
+        }
+
+        /**
+         * Show the panel, editing a copy of a pack.
+         * @param {Object} source Validated level pack to start from
+         */
+        function open(source) {
+            load(source);
+            editor.active = true;
+            el.panel.classList.remove('hidden');
+        }
+
+        function close() {
+            if (!editor.active) return;
+            if (previewing) setPreviewing(false);
+            editor.active = false;
+            el.panel.classList.add('hidden');
+            if (opts.onClose) opts.onClose();
+        }
+
+        /**
+         * Move the timeline playhead to the preview's current time.
+         * @param {number|null} seconds Elapsed time, or null to hide the playhead
+         */
+        function setPlayhead(seconds) {
+            let head = el.timeline.querySelector('.editor-playhead');
+            if (seconds === null) {
+                if (head) head.remove();
+                return;
+            }
+            if (!head) {
+                head = document.createElement('div');
+                head.className = 'editor-playhead';
+                el.timeline.appendChild(head);
+            }
+            head.style.left = Math.min(100, (seconds / resolved().duration) * 100) + '%';
+        }
+
+        /**
+         * The preview run finished on its own (level survived or lost).
+         * @param {string} message What happened, shown in the status line
+         */
+        function previewEnded(message) {
+            setPreviewing(false);
+            setStatus(message);
+        }
+
+        return editor;
+    }
+
+    return { createLevelEditor };
+});
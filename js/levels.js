@@ -0,0 +1,269 @@
+// Level packs
+// Difficulty is described as data: a pack lists levels, each with its duration, spawn
+// curve, circle type weights, growth and drift speeds, time-warp schedule, when power-up
+// pickups fly (`bomb`, named after the only pickup there once was), whether circles collide
+// (`physics`) and optional scripted waves, plus how often a boss level comes round and how
+// tough its boss is. Packs are plain JSON (see levels/schema.json) so they can be written and
+// tuned without touching the game code; this module validates them and resolves the
+// effective settings for any level number.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./circle-types'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.levels = factory(root.CircleSurvival.circleTypes);
+    }
+})(typeof self !== 'undefined' ? self : this, function (circleTypes) {
+    'use strict';
+
+    const PACK_VERSION = 1;
+
+    // Settings every level starts from before the pack's defaults and the level's own values
+    const LEVEL_DEFAULTS = {
+        duration: 30,                                       // seconds to survive
+        spawn: { start: 2000, acceleration: 0.9, min: 300 }, // milliseconds between spawns
+        weights: { normal: 1 },                             // relative chance of each circle type
+        growth: 20,                                         // radius growth in pixels per second
+        driftSpeed: 40,                                     // drifter speed in pixels per second
+        fuseTime: 3.5,                                      // seconds before a fuse blows on its own
+        armorClicks: 2,                                     // clicks needed to pop an armored circle
+        warp: null,                                         // { start, interval, duration, factor } or null
+        physics: null,                                      // { push, merge } or null: see js/physics.js
+        bomb: { threshold: 15, cooldown: 5, initialCooldown: 3 },
+        waves: []                                           // [{ at, type, count, x, y, radius }]
+    };
+
+    // Boss levels: every `every`th level is a fight against one boss circle (see js/circle-types.js)
+    const BOSS_DEFAULTS = {
+        every: 5,             // boss on levels 5, 10, 15, …
+        hp: 20,               // health of the first boss
+        hpStep: 6,            // extra health for each boss after it
+        radius: 55,           // starting radius in pixels
+        growth: 4,            // radius growth in pixels per second
+        minionInterval: 2.5   // seconds between minions
+    };
+
+    // Circle physics, for levels that switch it on
+    const PHYSICS_DEFAULTS = {
+        push: 0.5,            // share of an overlap pushed apart each tick, 0–1
+        merge: false          // same-type circles that touch fuse into one
+    };
+
+    const LATE_WEIGHTS = { normal: 21, armored: 10.5, drifter: 21, splitter: 22.5, fuse: 25 };
+    const TIME_WARP = { start: 8, interval: 8, duration: 3, factor: 0.5 };
+
+    // The shipped difficulty ladder
+    const DEFAULT_PACK = {
+        version: PACK_VERSION,
+        name: 'Default',
+        levels: [
+            { spawn: { start: 2000 }, weights: { normal: 1 } },
+            { spawn: { start: 1800 }, weights: { normal: 80, armored: 20 } },
+            { spawn: { start: 1620 }, weights: { normal: 40, armored: 20, drifter: 40 } },
+            { spawn: { start: 1458 }, weights: { normal: 28, armored: 14, drifter: 28, splitter: 30 } },
+            { spawn: { start: 1312 }, weights: LATE_WEIGHTS },
+            { spawn: { start: 1181 }, weights: LATE_WEIGHTS, warp: TIME_WARP },
+            { spawn: { start: 1063 }, weights: LATE_WEIGHTS, warp: TIME_WARP }
+        ],
+        // Levels past the end of the list repeat the last one, spawning this much faster each time
+        beyondLast: { spawnStartFactor: 0.9 }
+    };
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function checkNumber(errors, path, value, min, max) {
+        if (value === undefined) return;
+        if (typeof value !== 'number' || !isFinite(value)) errors.push(path + ' must be a number');
+        else if (min !== undefined && value < min) errors.push(path + ' must be at least ' + min);
+        else if (max !== undefined && value > max) errors.push(path + ' must be at most ' + max);
+    }
+
+    function checkLevel(errors, path, level) {
+        if (!isObject(level)) {
+            errors.push(path + ' must be an object');
+            return;
+        }
+        // catch typos like "grwoth" that would otherwise be silently ignored
+        for (const key in level) {
+            if (!(key in LEVEL_DEFAULTS)) errors.push(path + ' has unknown setting "' + key + '"');
+        }
+        checkNumber(errors, path + '.duration', level.duration, 1);
+        checkNumber(errors, path + '.growth', level.growth, 0);
+        checkNumber(errors, path + '.driftSpeed', level.driftSpeed, 0);
+        checkNumber(errors, path + '.fuseTime', level.fuseTime, 0.1);
+        checkNumber(errors, path + '.armorClicks', level.armorClicks, 1);
+        if (level.spawn !== undefined) {
+            if (!isObject(level.spawn)) errors.push(path + '.spawn must be an object');
+            else {
+                checkNumber(errors, path + '.spawn.start', level.spawn.start, 50);
+                checkNumber(errors, path + '.spawn.acceleration', level.spawn.acceleration, 0.1, 2);
+                checkNumber(errors, path + '.spawn.min', level.spawn.min, 50);
+            }
+        }
+        if (level.weights !== undefined) {
+            if (!isObject(level.weights)) errors.push(path + '.weights must be an object');
+            else {
+                let total = 0;
+                for (const type in level.weights) {
+                    const def = circleTypes.getCircleType(type);
+                    if (!def) errors.push(path + '.weights has unknown circle type "' + type + '"');
+                    else if (def.scripted) errors.push(path + '.weights can\'t include "' + type + '", which only the game spawns');
+                    checkNumber(errors, path + '.weights.' + type, level.weights[type], 0);
+                    if (typeof level.weights[type] === 'number') total += level.weights[type];
+                }
+                if (total <= 0) errors.push(path + '.weights must give at least one type a positive weight');
+            }
+        }
+        if (level.warp !== undefined && level.warp !== null) {
+            if (!isObject(level.warp)) errors.push(path + '.warp must be an object or null');
+            else {
+                for (const key of ['interval', 'duration', 'factor']) {
+                    if (level.warp[key] === undefined) errors.push(path + '.warp.' + key + ' is required');
+                }
+                checkNumber(errors, path + '.warp.start', level.warp.start, 0);
+                checkNumber(errors, path + '.warp.interval', level.warp.interval, 0.1);
+                checkNumber(errors, path + '.warp.duration', level.warp.duration, 0.1);
+                checkNumber(errors, path + '.warp.factor', level.warp.factor, 0.05);
+                const { interval, duration } = level.warp;
+                if (typeof interval === 'number' && typeof duration === 'number' && duration >= interval) {
+                    errors.push(path + '.warp.duration must be shorter than its interval');
+                }
+            }
+        }
+        if (level.physics !== undefined && level.physics !== null) {
+            if (!isObject(level.physics)) errors.push(path + '.physics must be an object or null');
+            else {
+                for (const key in level.physics) {
+                    if (!(key in PHYSICS_DEFAULTS)) errors.push(path + '.physics has unknown setting "' + key + '"');
+                }
+                checkNumber(errors, path + '.physics.push', level.physics.push, 0.05, 1);
+                if (level.physics.merge !== undefined && typeof level.physics.merge !== 'boolean') errors.push(path + '.physics.merge must be true or false');
+            }
+        }
+        if (level.bomb !== undefined) {
+            if (!isObject(level.bomb)) errors.push(path + '.bomb must be an object');
+            else {
+                checkNumber(errors, path + '.bomb.threshold', level.bomb.threshold, 0);
+                checkNumber(errors, path + '.bomb.cooldown', level.bomb.cooldown, 0);
+                checkNumber(errors, path + '.bomb.initialCooldown', level.bomb.initialCooldown, 0);
+            }
+        }
+        if (level.waves !== undefined) {
+            if (!Array.isArray(level.waves)) errors.push(path + '.waves must be an array');
+            else level.waves.forEach((wave, i) => {
+                const wavePath = path + '.waves[' + i + ']';
+                if (!isObject(wave)) {
+                    errors.push(wavePath + ' must be an object');
+                    return;
+                }
+                if (typeof wave.at !== 'number') errors.push(wavePath + '.at is required');
+                checkNumber(errors, wavePath + '.at', wave.at, 0);
+                if (circleTypes.spawnableTypeNames().indexOf(wave.type) < 0) errors.push(wavePath + '.type must be one of ' + circleTypes.spawnableTypeNames().join(', '));
+                checkNumber(errors, wavePath + '.count', wave.count, 1, 100);
+                checkNumber(errors, wavePath + '.x', wave.x, 0, 1);
+                checkNumber(errors, wavePath + '.y', wave.y, 0, 1);
+                checkNumber(errors, wavePath + '.radius', wave.radius, 1);
+            });
+        }
+    }
+
+    /**
+     * Check a level pack against the schema.
+     * @param {*} pack Parsed JSON
+     * @returns {string[]} Human-readable problems; empty when the pack is valid
+     */
+    function validatePack(pack) {
+        const errors = [];
+        if (!isObject(pack)) return ['pack must be an object'];
+        if (pack.version !== PACK_VERSION) errors.push('version must be ' + PACK_VERSION);
+        if (pack.name !== undefined && typeof pack.name !== 'string') errors.push('name must be a string');
+        if (pack.defaults !== undefined) checkLevel(errors, 'defaults', pack.defaults);
+        if (!Array.isArray(pack.levels) || pack.levels.length === 0) errors.push('levels must be a non-empty array');
+        else pack.levels.forEach((level, i) => checkLevel(errors, 'levels[' + i + ']', level));
+        if (pack.beyondLast !== undefined) {
+            if (!isObject(pack.beyondLast)) errors.push('beyondLast must be an object');
+            else checkNumber(errors, 'beyondLast.spawnStartFactor', pack.beyondLast.spawnStartFactor, 0.1, 2);
+        }
+        if (pack.boss !== undefined && pack.boss !== null) {
+            if (!isObject(pack.boss)) errors.push('boss must be an object or null');
+            else {
+                for (const key in pack.boss) {
+                    if (!(key in BOSS_DEFAULTS)) errors.push('boss has unknown setting "' + key + '"');
+                }
+                checkNumber(errors, 'boss.every', pack.boss.every, 1);
+                if (pack.boss.every !== undefined && !Number.isInteger(pack.boss.every)) errors.push('boss.every must be a whole number');
+                checkNumber(errors, 'boss.hp', pack.boss.hp, 1);
+                checkNumber(errors, 'boss.hpStep', pack.boss.hpStep, 0);
+                checkNumber(errors, 'boss.radius', pack.boss.radius, 5);
+                checkNumber(errors, 'boss.growth', pack.boss.growth, 0);
+                checkNumber(errors, 'boss.minionInterval', pack.boss.minionInterval, 0.1);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Parse and validate a level pack.
+     * @param {string|Object} data JSON text or parsed object
+     * @returns {Object} The pack
+     * @throws {Error} Listing every problem found
+     */
+    function parsePack(data) {
+        const pack = typeof data === 'string' ? JSON.parse(data) : data;
+        const errors = validatePack(pack);
+        if (errors.length) throw new Error('Invalid level pack: ' + errors.join('; '));
+        return pack;
+    }
+
+    // Layer level settings: nested spawn/bomb objects merge, everything else replaces
+    function mergeLevel(base, over) {
+        if (!over) return base;
+        const merged = Object.assign({}, base, over);
+        if (over.spawn) merged.spawn = Object.assign({}, base.spawn, over.spawn);
+        if (over.bomb) merged.bomb = Object.assign({}, base.bomb, over.bomb);
+        return merged;
+    }
+
+    /**
+     * Effective settings for a level number, with every field filled in.
+     * @param {Object} pack Validated level pack
+     * @param {number} levelNumber 1-based level
+     * @returns {Object} Level settings, plus `boss` ({ number, hp, radius, growth, minionInterval }
+     *   on boss levels, null on the rest)
+     */
+    function resolveLevel(pack, levelNumber) {
+        const index = Math.max(0, levelNumber - 1);
+        const last = pack.levels.length - 1;
+        let level = mergeLevel(mergeLevel(LEVEL_DEFAULTS, pack.defaults), pack.levels[Math.min(index, last)]);
+        if (index > last) {
+            const factor = pack.beyondLast && pack.beyondLast.spawnStartFactor !== undefined ? pack.beyondLast.spawnStartFactor : 1;
+            level = mergeLevel(level, { spawn: { start: level.spawn.start * Math.pow(factor, index - last) } });
+        }
+        if (level.warp) level.warp = Object.assign({ start: level.warp.interval }, level.warp);
+        if (level.physics) level.physics = Object.assign({}, PHYSICS_DEFAULTS, level.physics);
+        level.waves = level.waves.slice().sort((a, b) => a.at - b.at);
+        level.boss = resolveBoss(pack, levelNumber);
+        return level;
+    }
+
+    // The boss of a boss level, or null. Packs without a `boss` entry get the default
+    // bosses; `"boss": null` turns them off.
+    function resolveBoss(pack, levelNumber) {
+        if (pack.boss === null) return null;
+        const boss = Object.assign({}, BOSS_DEFAULTS, pack.boss);
+        if (levelNumber < boss.every || levelNumber % boss.every !== 0) return null;
+        const count = levelNumber / boss.every;   // 1 for the first boss
+        return {
+            number: count,
+            hp: boss.hp + boss.hpStep * (count - 1),
+            radius: boss.radius,
+            growth: boss.growth,
+            minionInterval: boss.minionInterval
+        };
+    }
+
+    return { DEFAULT_PACK, PACK_VERSION, validatePack, parsePack, resolveLevel };
+});
@@ -0,0 +1,113 @@
+// Game modes
+// A mode changes the rules around the level pack rather than the levels themselves:
+// whether levels pause between each other, what happens when a circle fills the board,
+// whether the run has an overall clock, and whether power-ups fly. The simulation reads
+// these flags; the page offers the modes on the level overlay and keeps records per mode.
+// Local versus plays each of its two boards by a mode of its own that isn't offered there.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.modes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Every flag a mode can set, with the classic ladder's values
+    const MODE_DEFAULTS = {
+        levelBreaks: true,       // stop between levels; false rolls straight into the next one
+        levelDuration: null,     // seconds per level, overriding the pack
+        timeLimit: null,         // seconds the whole run lasts
+        overflow: 'gameOver',    // a full-size circle ends the run, or 'shrink's back to its starting size
+        overflowPenalty: 0,      // points lost when a circle shrinks back
+        powerUps: true,          // pickups fly and can be banked
+        armorClicks: null,       // clicks for armored circles, overriding the pack
+        continues: true,         // after a game over the same level can be retried
+        record: 'level',         // the best record shown in the HUD: 'level' or 'score'
+        listed: true             // offered on the level overlay; false for modes reached another way
+    };
+
+    const MODES = {
+        classic: {
+            label: 'Classic',
+            description: 'Survive each level in turn. After a game over, retry the level you reached.'
+        },
+        endless: {
+            label: 'Endless',
+            description: 'No breaks between levels: the difficulty keeps climbing until a circle fills the board.',
+            levelBreaks: false,
+            continues: false
+        },
+        zen: {
+            label: 'Zen',
+            description: 'No game over. Circles that fill the board shrink back and the levels roll on.',
+            overflow: 'shrink',
+            record: 'score'
+        },
+        timeAttack: {
+            label: 'Time Attack',
+            description: 'Pop as many as you can in 60 seconds. The pace rises every 10 seconds and overgrown circles cost 25 points.',
+            levelBreaks: false,
+            levelDuration: 10,
+            timeLimit: 60,
+            overflow: 'shrink',
+            overflowPenalty: 25,
+            continues: false,
+            record: 'score'
+        },
+        hardcore: {
+            label: 'Hardcore',
+            description: 'One life, no bombs or other power-ups, and armored circles need three clicks.',
+            powerUps: false,
+            armorClicks: 3,
+            continues: false
+        },
+        // each board of a local versus match (see js/versus.js)
+        versus: {
+            label: 'Versus',
+            description: 'Two boards side by side. Popping circles sends garbage to your opponent; the first board to fill loses.',
+            levelBreaks: false,
+            powerUps: false,
+            continues: false,
+            listed: false
+        }
+    };
+
+    const DEFAULT_MODE = 'classic';
+
+    /**
+     * A mode's full rule set.
+     * @param {string} name Mode name; unknown names fall back to classic
+     * @returns {Object} Mode with every flag filled in plus its `name`
+     */
+    function getMode(name) {
+        const key = Object.prototype.hasOwnProperty.call(MODES, name) ? name : DEFAULT_MODE;
+        return Object.assign({ name: key }, MODE_DEFAULTS, MODES[key]);
+    }
+
+    /**
+     * Names of the modes offered on the level overlay, in order. Modes that aren't listed
+     * are left out, which also keeps them off the records, leaderboards and share codes.
+     * @returns {string[]}
+     */
+    function modeNames() {
+        return Object.keys(MODES).filter((name) => MODES[name].listed !== false);
+    }
+
+    /**
+     * Apply a mode's overrides to a level's resolved settings.
+     * @param {Object} mode Mode from getMode()
+     * @param {Object} level Settings from levels.resolveLevel()
+     * @returns {Object} Adjusted copy of the settings
+     */
+    function applyMode(mode, level) {
+        const adjusted = Object.assign({}, level);
+        if (mode.levelDuration) adjusted.duration = mode.levelDuration;
+        if (mode.armorClicks) adjusted.armorClicks = mode.armorClicks;
+        return adjusted;
+    }
+
+    return { getMode, modeNames, applyMode, DEFAULT_MODE };
+});
@@ -0,0 +1,154 @@
+// Circle physics
+// An optional layer switched on per level (`physics` in js/levels.js): circles that overlap
+// push each other apart, heavier (bigger) circles giving less ground, and drifters bounce off
+// the circles they run into as they do off the walls. With `merge` on, two circles of the same
+// type that touch fuse into one instead; the simulation does the fusing, this module finds the
+// contacts and moves circles. A uniform grid keeps the contact search close to linear with
+// a busy board. Everything is plain arithmetic over the circle array, so runs stay exact.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.physics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const CELL_SIZE = 64;            // grid cell in pixels, about the size of a young circle
+
+    /**
+     * Create a spatial index: a uniform grid of cells, each listing the circles whose
+     * bounding box covers it. Rebuild it whenever the circles have moved.
+     * @param {number} [cellSize] Cell size in pixels
+     * @returns {Object} Index with rebuild(circles) and contacts()
+     */
+    function createSpatialIndex(cellSize) {
+        const size = cellSize || CELL_SIZE;
+        let cells = new Map();
+        let items = [];
+
+        function cellRange(x, y, radius) {
+            return {
+                x0: Math.floor((x - radius) / size),
+                x1: Math.floor((x + radius) / size),
+                y0: Math.floor((y - radius) / size),
+                y1: Math.floor((y + radius) / size)
+            };
+        }
+
+        /**
+         * Index a fresh set of circles.
+         * @param {Object[]} circles
+         */
+        function rebuild(circles) {
+            cells = new Map();
+            items = circles.slice();
+            items.forEach((circle, i) => {
+                const range = cellRange(circle.x, circle.y, circle.radius);
+                for (let cx = range.x0; cx <= range.x1; cx++) {
+                    for (let cy = range.y0; cy <= range.y1; cy++) {
+                        const key = cx + ',' + cy;
+                        const cell = cells.get(key);
+                        if (cell) cell.push(i);
+                        else cells.set(key, [i]);
+                    }
+                }
+            });
+        }
+
+        /**
+         * Every pair of indexed circles that overlap or touch, each pair once, ordered by
+         * their place in the circle array so the same board always resolves the same way.
+         * @returns {Array<Object[]>} [a, b] pairs
+         */
+        function contacts() {
+            const seen = new Set();
+            const pairs = [];
+            for (const cell of cells.values()) {
+                for (let m = 0; m < cell.length; m++) {
+                    for (let n = m + 1; n < cell.length; n++) {
+                        const i = cell[m];
+                        const j = cell[n];
+                        const key = i * items.length + j;
+                        if (seen.has(key)) continue;
+                        seen.add(key);
+                        if (overlap(items[i], items[j]) >= 0) pairs.push([i, j]);
+                    }
+                }
+            }
+            pairs.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+            return pairs.map(([i, j]) => [items[i], items[j]]);
+        }
+
+        return { rebuild, contacts };
+    }
+
+    /**
+     * How far two circles overlap; negative when there is a gap between them.
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {number} Pixels
+     */
+    function overlap(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        return a.radius + b.radius - Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Push two overlapping circles apart along the line between their centres. Each gives
+     * ground in proportion to the other's area, and a drifter heading into the other circle
+     * bounces off it.
+     * @param {Object} a
+     * @param {Object} b
+     * @param {number} push Share of the overlap resolved now, 0–1; less is softer
+     */
+    function separate(a, b, push) {
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let dist = Math.sqrt(dx * dx + dy * dy);
+        // circles spawned on the same spot have no direction between them yet
+        if (dist === 0) {
+            dx = 1;
+            dy = 0;
+            dist = 1;
+        }
+        const nx = dx / dist;
+        const ny = dy / dist;
+        const depth = a.radius + b.radius - dist;
+        if (depth > 0) {
+            const massA = a.radius * a.radius;
+            const massB = b.radius * b.radius;
+            const shift = depth * push / (massA + massB);
+            a.x -= nx * shift * massB;
+            a.y -= ny * shift * massB;
+            b.x += nx * shift * massA;
+            b.y += ny * shift * massA;
+        }
+        bounce(a, nx, ny);
+        bounce(b, -nx, -ny);
+    }
+
+    // Reflect a drifter's heading off a contact whose normal points away from it
+    function bounce(circle, nx, ny) {
+        const along = circle.driftX * nx + circle.driftY * ny;
+        if (along <= 0) return;
+        circle.driftX -= 2 * along * nx;
+        circle.driftY -= 2 * along * ny;
+    }
+
+    /**
+     * Pull a pushed circle back inside the board; one too big to fit is centred.
+     * @param {Object} circle
+     * @param {number} width
+     * @param {number} height
+     */
+    function keepInside(circle, width, height) {
+        circle.x = circle.radius * 2 >= width ? width / 2 : Math.min(width - circle.radius, Math.max(circle.radius, circle.x));
+        circle.y = circle.radius * 2 >= height ? height / 2 : Math.min(height - circle.radius, Math.max(circle.radius, circle.y));
+    }
+
+    return { createSpatialIndex, overlap, separate, keepInside, CELL_SIZE };
+});
@@ -0,0 +1,201 @@
+// Power-ups
+// Pickups fly across the board once it gets crowded (when is set per level by the pack's
+// `bomb` settings). Clicking one fires it on the spot; letting it fly off banks it in an
+// inventory slot, to be fired later from the slot or with its hotkey. Like circle types,
+// each power-up is one registry entry, so a new one is a registerPowerUp() call in a script
+// loaded after this one.
+//
+// Hooks receive the `game` handle circle type hooks get (see js/circle-types.js), plus
+// game.maxRadius() and game.queuePop(circle, delay) to pop a circle after a delay.
+// Hooks must only draw randomness from game.random() so replays stay exact.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.powerUps = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const BOMB_STAGGER = 0.03;       // seconds between each circle destroyed by a blast
+    const SHRINK_FACTOR = 0.5;
+    const SHRINK_MIN_RADIUS = 10;
+
+    const registry = {};
+    const order = [];
+
+    /**
+     * Add a power-up, or replace one with the same name.
+     * @param {Object} def Power-up definition
+     * @param {string} def.name Identifier used on pickups, in the bank and in replays
+     * @param {string} def.label Name shown in the legends and help
+     * @param {string} [def.description] One-line explanation for the help overlay
+     * @param {string} [def.key] Keyboard key that fires a banked one
+     * @param {number} [def.weight] Relative chance of being the next pickup (default 1)
+     * @param {Function} [def.condition] (game) => boolean: whether it may be the next pickup
+     * @param {Object} def.appearance swatch colour for legends, particles as { fill, glow },
+     *   optional tint drawn over the board while its effect lasts, and draw(canvas, size)
+     *   to paint its sprite
+     * @param {Object} [def.effect] Timed effect: { duration, timeScale, growthScale }, where the
+     *   scales multiply how fast the board runs and how fast circles grow while it lasts
+     * @param {Function} [def.activate] (game, x, y) Fire it at a point on the board
+     * @returns {Object} The registered definition
+     */
+    function registerPowerUp(def) {
+        if (!def || typeof def.name !== 'string' || !def.name) throw new Error('Power-up needs a name');
+        if (!def.appearance || typeof def.appearance.draw !== 'function') throw new Error('Power-up "' + def.name + '" needs an appearance with a draw function');
+        const powerUp = Object.assign({ label: def.name, description: '', key: null, weight: 1, condition: () => true }, def);
+        if (!registry[powerUp.name]) order.push(powerUp.name);
+        registry[powerUp.name] = powerUp;
+        return powerUp;
+    }
+
+    /**
+     * Look up a power-up.
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    function getPowerUp(name) {
+        return Object.prototype.hasOwnProperty.call(registry, name) ? registry[name] : null;
+    }
+
+    /**
+     * Names of all registered power-ups, in registration order.
+     * @returns {string[]}
+     */
+    function powerUpNames() {
+        return order.slice();
+    }
+
+    // Pixel-art block shared by the sprites: a body with a darker rim
+    function drawBlock(canvas, size, body, rim) {
+        canvas.width = size; canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = body; ctx.fillRect(0, 0, size, size);
+        ctx.strokeStyle = rim; ctx.lineWidth = Math.max(1, size / 16);
+        ctx.strokeRect(0, 0, size, size);
+        return ctx;
+    }
+
+    // ── Draw a pixel-art TNT block on a canvas ──
+    function drawTNT(canvas, size) {
+        // Brown body, darker border
+        const ctx = drawBlock(canvas, size, '#8B4513', '#5C2D0E');
+        // Red band across middle
+        const bandH = Math.max(4, size * 0.35);
+        const bandY = (size - bandH) / 2;
+        ctx.fillStyle = '#C1440E'; ctx.fillRect(size * 0.08, bandY, size * 0.84, bandH);
+        // "TNT" text
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold ' + Math.max(6, Math.floor(size * 0.28)) + 'px monospace';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText('TNT', size / 2, size / 2 + 0.5);
+        // Top stripe / fuse nub
+        ctx.fillStyle = '#3E3E3E';
+        const fuseW = Math.max(2, size * 0.12);
+        ctx.fillRect((size - fuseW) / 2, 0, fuseW, size * 0.15);
+    }
+
+    // Ice block with a six-armed snowflake
+    function drawFreeze(canvas, size) {
+        const ctx = drawBlock(canvas, size, '#4FC3F7', '#0277BD');
+        ctx.strokeStyle = '#FFFFFF'; ctx.lineWidth = Math.max(1, size / 12); ctx.lineCap = 'square';
+        const c = size / 2, arm = size * 0.32;
+        ctx.beginPath();
+        for (let i = 0; i < 3; i++) {
+            const angle = i * Math.PI / 3;
+            ctx.moveTo(c - Math.cos(angle) * arm, c - Math.sin(angle) * arm);
+            ctx.lineTo(c + Math.cos(angle) * arm, c + Math.sin(angle) * arm);
+        }
+        ctx.stroke();
+    }
+
+    // Purple block with an hourglass
+    function drawSlowMo(canvas, size) {
+        const ctx = drawBlock(canvas, size, '#7E57C2', '#4527A0');
+        const l = size * 0.28, r = size * 0.72, t = size * 0.2, b = size * 0.8, c = size / 2;
+        ctx.fillStyle = '#FFE082';
+        ctx.beginPath();
+        ctx.moveTo(l, t); ctx.lineTo(r, t); ctx.lineTo(c, c); ctx.closePath();
+        ctx.moveTo(c, c); ctx.lineTo(r, b); ctx.lineTo(l, b); ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(l - size * 0.04, t - size * 0.06, r - l + size * 0.08, size * 0.06);
+        ctx.fillRect(l - size * 0.04, b, r - l + size * 0.08, size * 0.06);
+    }
+
+    // Green block with a ring and an arrow pointing into it
+    function drawShrink(canvas, size) {
+        const ctx = drawBlock(canvas, size, '#43A047', '#1B5E20');
+        ctx.strokeStyle = '#FFFFFF'; ctx.lineWidth = Math.max(1, size / 12);
+        ctx.beginPath();
+        ctx.arc(size * 0.6, size * 0.6, size * 0.18, 0, Math.PI * 2);
+        ctx.moveTo(size * 0.15, size * 0.15); ctx.lineTo(size * 0.42, size * 0.42);
+        ctx.moveTo(size * 0.42, size * 0.22); ctx.lineTo(size * 0.42, size * 0.42); ctx.lineTo(size * 0.22, size * 0.42);
+        ctx.stroke();
+    }
+
+    // ── Built-in power-ups ──
+
+    registerPowerUp({
+        name: 'tnt',
+        label: 'TNT',
+        description: 'Blows up every circle near where it goes off: on the spot when clicked, in the centre from the bank.',
+        key: '1',
+        weight: 3,
+        appearance: { color: '#c1440e', particles: { fill: '#ff6600', glow: '#ffaa44' }, draw: drawTNT },
+        // Destroy circles within 80% of screen radius from a point
+        activate(game, x, y) {
+            const { width, height, circles } = game.state;
+            const radius = Math.max(width, height) * 0.40; // 80% of half = 40% of full
+            game.emit('bombDetonate', { x, y, radius });
+            let i = 0;
+            for (const circle of circles) {
+                const dx = circle.x - x;
+                const dy = circle.y - y;
+                if (Math.sqrt(dx * dx + dy * dy) <= radius + circle.radius) {
+                    // Stagger destruction slightly for visual effect
+                    game.queuePop(circle, i * BOMB_STAGGER);
+                    i++;
+                }
+            }
+        }
+    });
+
+    registerPowerUp({
+        name: 'freeze',
+        label: 'Freeze',
+        description: 'Stops every circle growing for 4 seconds.',
+        key: '2',
+        appearance: { color: '#4fc3f7', particles: { fill: '#4fc3f7', glow: '#e1f5fe' }, tint: 'rgba(79, 195, 247, 0.12)', draw: drawFreeze },
+        condition: (game) => game.state.level >= 2,
+        effect: { duration: 4, growthScale: 0 }
+    });
+
+    registerPowerUp({
+        name: 'slowmo',
+        label: 'Slow-mo',
+        description: 'Runs the board at half speed for 5 seconds while the level clock keeps ticking.',
+        key: '3',
+        appearance: { color: '#7e57c2', particles: { fill: '#7e57c2', glow: '#b39ddb' }, tint: 'rgba(126, 87, 194, 0.1)', draw: drawSlowMo },
+        // most useful when the board is busy or a time warp has sped spawns up
+        condition: (game) => game.state.warpActive || game.state.circles.length >= 20,
+        effect: { duration: 5, timeScale: 0.5 }
+    });
+
+    registerPowerUp({
+        name: 'shrink',
+        label: 'Shrink Ray',
+        description: 'Halves the size of every circle on the board.',
+        key: '4',
+        appearance: { color: '#43a047', particles: { fill: '#43a047', glow: '#a5d6a7' }, draw: drawShrink },
+        condition: (game) => game.state.circles.some((c) => c.radius > game.maxRadius() / 2),
+        activate(game) {
+            for (const c of game.state.circles) c.radius = Math.max(c.radius * SHRINK_FACTOR, SHRINK_MIN_RADIUS);
+        }
+    });
+
+    return { registerPowerUp, getPowerUp, powerUpNames, drawTNT };
+});
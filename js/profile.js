@@ -0,0 +1,472 @@
+// Player profile
+// Everything the game remembers between sessions lives in one versioned object in
+// localStorage: best level and score for each game mode, lifetime pops per circle type,
+// power-ups used and banked, a history of past runs, a top-ten leaderboard per mode,
+// achievement progress, the skins picked and which mechanics have had their first-time
+// callout. Older saves are migrated forward step by step when loaded, and the same parsing
+// is used for profiles imported from a file, so a save from any version (or from another
+// browser) ends up in the current shape.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.profile = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const PROFILE_VERSION = 6;
+    const STORAGE_KEY = 'circleSurvival.profile';
+    const LEGACY_BEST_KEY = 'bestLevel';   // all the game stored before profiles existed
+    const MAX_RUNS = 50;                   // oldest runs are dropped past this
+    const LEADERBOARD_SIZE = 10;           // places kept on each mode's leaderboard
+    const INITIALS_LENGTH = 3;
+
+    function emptyProfile() {
+        return {
+            version: PROFILE_VERSION,
+            mode: 'classic',                   // mode last picked on the level overlay
+            records: {},                       // game mode -> { bestLevel, bestScore }
+            pops: {},                          // circle type -> lifetime pops
+            powerUps: {},                      // power-up -> { used, banked }
+            runs: [],                          // newest first: { date, mode, level, score, cause, seed }
+            initials: '',                      // last initials entered for the leaderboard
+            leaderboards: {},                  // game mode -> best first: { initials, score, level, startLevel, seed, director, date }
+            achievements: {},                  // achievement -> { progress, unlocked (date, or '' while locked) }
+            skins: { circles: 'classic', tnt: 'classic' },  // cosmetic skin picked for each kind
+            callouts: []                       // mechanics already pointed out, e.g. 'circle:fuse' (see js/tutorial.js)
+        };
+    }
+
+    // Each entry upgrades a profile from the version it is keyed by to the next one
+    const MIGRATIONS = {
+        // version 0 is the bare best level kept under the old `bestLevel` key
+        0: (old) => ({ version: 1, bestLevel: old.bestLevel || 0, bestScore: 0, pops: {}, bombs: { detonated: 0, banked: 0 }, runs: [] }),
+        // version 1 kept a single best level and score; everything before modes was classic
+        1: (old) => Object.assign({}, old, {
+            version: 2,
+            records: { classic: { bestLevel: old.bestLevel, bestScore: old.bestScore } },
+            runs: Array.isArray(old.runs) ? old.runs.map((run) => Object.assign({ mode: 'classic' }, run)) : []
+        }),
+        // version 2 only knew bombs, which became the TNT power-up
+        2: (old) => {
+            const bombs = isObject(old.bombs) ? old.bombs : {};
+            return Object.assign({}, old, { version: 3, powerUps: { tnt: { used: bombs.detonated, banked: bombs.banked } } });
+        },
+        // version 3 had no leaderboards; past runs stay in the history only, since their
+        // starting level (needed to share them) was never saved
+        3: (old) => Object.assign({}, old, { version: 4, initials: '', leaderboards: {} }),
+        // version 4 had no achievements, so every skin starts out classic
+        4: (old) => Object.assign({}, old, { version: 5, achievements: {}, skins: { circles: 'classic', tnt: 'classic' } }),
+        // version 5 had no callouts, so every mechanic gets pointed out once more
+        5: (old) => Object.assign({}, old, { version: 6, callouts: [] })
+    };
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function count(value) {
+        return typeof value === 'number' && isFinite(value) && value > 0 ? Math.floor(value) : 0;
+    }
+
+    /**
+     * Clean up leaderboard initials: letters and digits only, upper case, at most three.
+     * @param {*} value
+     * @returns {string}
+     */
+    function cleanInitials(value) {
+        return typeof value === 'string' ? value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, INITIALS_LENGTH) : '';
+    }
+
+    // Highest score first; a tie goes to the higher level, then to whoever got there first
+    function compareEntries(a, b) {
+        return b.score - a.score || b.level - a.level || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+    }
+
+    // Copy only well-formed fields onto a fresh profile so a damaged save can't break the game
+    function normalize(data) {
+        const profile = emptyProfile();
+        if (typeof data.mode === 'string') profile.mode = data.mode;
+        if (isObject(data.records)) {
+            for (const mode in data.records) {
+                const record = data.records[mode];
+                if (isObject(record)) profile.records[mode] = { bestLevel: count(record.bestLevel), bestScore: count(record.bestScore) };
+            }
+        }
+        if (isObject(data.pops)) {
+            for (const type in data.pops) profile.pops[type] = count(data.pops[type]);
+        }
+        if (isObject(data.powerUps)) {
+            for (const name in data.powerUps) {
+                const entry = data.powerUps[name];
+                if (isObject(entry)) profile.powerUps[name] = { used: count(entry.used), banked: count(entry.banked) };
+            }
+        }
+        if (Array.isArray(data.runs)) {
+            profile.runs = data.runs.filter(isObject).slice(0, MAX_RUNS).map((run) => ({
+                date: typeof run.date === 'string' ? run.date : '',
+                mode: typeof run.mode === 'string' ? run.mode : 'classic',
+                level: count(run.level),
+                score: count(run.score),
+                cause: typeof run.cause === 'string' ? run.cause : null,
+                seed: typeof run.seed === 'number' ? run.seed : null
+            }));
+        }
+        profile.initials = cleanInitials(data.initials);
+        if (isObject(data.leaderboards)) {
+            for (const mode in data.leaderboards) {
+                const board = data.leaderboards[mode];
+                if (!Array.isArray(board)) continue;
+                profile.leaderboards[mode] = board.filter((entry) => isObject(entry) && typeof entry.seed === 'number').map((entry) => ({
+                    initials: cleanInitials(entry.initials),
+                    score: count(entry.score),
+                    level: count(entry.level),
+                    startLevel: Math.max(1, count(entry.startLevel)),
+                    seed: entry.seed >>> 0,
+                    director: entry.director === true,
+                    date: typeof entry.date === 'string' ? entry.date : ''
+                })).sort(compareEntries).slice(0, LEADERBOARD_SIZE);
+            }
+        }
+        if (isObject(data.achievements)) {
+            for (const name in data.achievements) {
+                const entry = data.achievements[name];
+                if (isObject(entry)) {
+                    profile.achievements[name] = { progress: count(entry.progress), unlocked: typeof entry.unlocked === 'string' ? entry.unlocked : '' };
+                }
+            }
+        }
+        // which skins exist, and whether they are unlocked, is the page's business
+        if (isObject(data.skins)) {
+            for (const kind in profile.skins) {
+                if (typeof data.skins[kind] === 'string') profile.skins[kind] = data.skins[kind];
+            }
+        }
+        if (Array.isArray(data.callouts)) {
+            profile.callouts = data.callouts.filter((name, i) => typeof name === 'string' && data.callouts.indexOf(name) === i);
+        }
+        return profile;
+    }
+
+    /**
+     * Bring saved or imported profile data up to the current version.
+     * @param {string|Object} data JSON text or parsed object
+     * @returns {Object} Profile in the current format
+     * @throws {Error} If the data is not a profile, or comes from a newer version of the game
+     */
+    function parseProfile(data) {
+        let profile = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!isObject(profile) || typeof profile.version !== 'number') throw new Error('Invalid profile: missing version');
+        if (profile.version > PROFILE_VERSION) throw new Error('Invalid profile: saved by a newer version of the game');
+        while (profile.version < PROFILE_VERSION) {
+            const migrate = MIGRATIONS[profile.version];
+            if (!migrate) throw new Error('Invalid profile: unknown version ' + profile.version);
+            profile = migrate(profile);
+        }
+        return normalize(profile);
+    }
+
+    /**
+     * Open the profile kept in a Storage object (normally localStorage).
+     * Storage that throws (private browsing, disabled cookies) leaves the profile in memory only.
+     * @param {Storage} [storage]
+     * @returns {Object} Store with the profile as `data` and methods to update and persist it
+     */
+    function createProfileStore(storage) {
+        let data = load();
+
+        function read(key) {
+            try {
+                return storage ? storage.getItem(key) : null;
+            } catch (err) {
+                return null;
+            }
+        }
+
+        function load() {
+            const saved = read(STORAGE_KEY);
+            if (saved) {
+                try {
+                    return parseProfile(saved);
+                } catch (err) {
+                    // keep playing with a fresh profile rather than refuse to start
+                }
+            }
+            const legacyBest = parseInt(read(LEGACY_BEST_KEY) || '', 10);
+            if (legacyBest > 0) return parseProfile({ version: 0, bestLevel: legacyBest });
+            return emptyProfile();
+        }
+
+        function save() {
+            try {
+                if (!storage) return;
+                storage.setItem(STORAGE_KEY, JSON.stringify(data));
+                storage.removeItem(LEGACY_BEST_KEY);
+            } catch (err) {
+                // out of quota or storage disabled: progress lasts for this session only
+            }
+        }
+
+        /**
+         * Forget everything, in storage too.
+         */
+        function reset() {
+            data = emptyProfile();
+            try {
+                if (storage) {
+                    storage.removeItem(STORAGE_KEY);
+                    storage.removeItem(LEGACY_BEST_KEY);
+                }
+            } catch (err) {
+                // nothing stored to clear
+            }
+        }
+
+        /**
+         * Replace the profile with one exported from this or another browser.
+         * @param {string|Object} source Exported profile
+         * @returns {Object} The imported profile
+         */
+        function importProfile(source) {
+            data = parseProfile(source);
+            save();
+            return data;
+        }
+
+        function exportProfile() {
+            return JSON.stringify(data, null, 2) + '\n';
+        }
+
+        /**
+         * Best level and score reached in a game mode.
+         * @param {string} mode
+         * @returns {{ bestLevel: number, bestScore: number }}
+         */
+        function record(mode) {
+            return data.records[mode] || { bestLevel: 0, bestScore: 0 };
+        }
+
+        function ensureRecord(mode) {
+            return data.records[mode] || (data.records[mode] = { bestLevel: 0, bestScore: 0 });
+        }
+
+        function recordLevel(mode, level) {
+            const entry = ensureRecord(mode);
+            if (level > entry.bestLevel) entry.bestLevel = level;
+        }
+
+        function recordScore(mode, score) {
+            const entry = ensureRecord(mode);
+            if (score > entry.bestScore) entry.bestScore = score;
+        }
+
+        function setMode(mode) {
+            data.mode = mode;
+        }
+
+        function recordPop(type) {
+            data.pops[type] = (data.pops[type] || 0) + 1;
+        }
+
+        /**
+         * Count a power-up being fired or banked.
+         * @param {string} name Power-up name
+         * @param {string} what 'used' or 'banked'
+         */
+        function recordPowerUp(name, what) {
+            const entry = data.powerUps[name] || (data.powerUps[name] = { used: 0, banked: 0 });
+            entry[what]++;
+        }
+
+        /**
+         * A mode's leaderboard, best first.
+         * @param {string} mode
+         * @returns {Object[]} Entries: { initials, score, level, startLevel, seed, director, date }
+         */
+        function leaderboard(mode) {
+            return data.leaderboards[mode] || [];
+        }
+
+        /**
+         * Put a run on its mode's leaderboard if it scored well enough. Submitting the same
+         * entry object again (a zen run after another level) moves it to its new place.
+         * @param {string} mode
+         * @param {Object} entry { initials, score, level, startLevel, seed, director, date }
+         * @returns {number} Its place, counting from 0, or -1 if it didn't make the board
+         */
+        function submitScore(mode, entry) {
+            const board = data.leaderboards[mode] || (data.leaderboards[mode] = []);
+            // a run that scored nothing isn't worth a place
+            if (!(entry.score > 0)) return board.indexOf(entry);
+            if (board.indexOf(entry) < 0) board.push(entry);
+            board.sort(compareEntries);
+            if (board.length > LEADERBOARD_SIZE) board.length = LEADERBOARD_SIZE;
+            return board.indexOf(entry);
+        }
+
+        /**
+         * Remember the player's initials and sign a leaderboard entry with them.
+         * @param {string} initials
+         * @param {Object} [entry] Entry to sign
+         * @returns {string} The initials as kept
+         */
+        function setInitials(initials, entry) {
+            data.initials = cleanInitials(initials);
+            if (entry) entry.initials = data.initials;
+            return data.initials;
+        }
+
+        /**
+         * Progress towards an achievement.
+         * @param {string} name
+         * @returns {{ progress: number, unlocked: string }} unlocked is the date, or '' while locked
+         */
+        function achievement(name) {
+            return data.achievements[name] || { progress: 0, unlocked: '' };
+        }
+
+        /**
+         * Move an achievement's progress up (never down) and unlock it once it reaches the goal.
+         * @param {string} name
+         * @param {number} progress
+         * @param {number} goal
+         * @returns {boolean} Whether this unlocked it
+         */
+        function recordAchievement(name, progress, goal) {
+            const entry = data.achievements[name] || (data.achievements[name] = { progress: 0, unlocked: '' });
+            entry.progress = Math.min(goal, Math.max(entry.progress, Math.floor(progress)));
+            if (entry.unlocked || entry.progress < goal) return false;
+            entry.unlocked = new Date().toISOString();
+            return true;
+        }
+
+        /**
+         * Pick a cosmetic skin.
+         * @param {string} kind 'circles' or 'tnt'
+         * @param {string} skin
+         */
+        function setSkin(kind, skin) {
+            data.skins[kind] = skin;
+        }
+
+        /**
+         * Whether a mechanic has had its first-time callout.
+         * @param {string} name e.g. 'circle:fuse', 'powerUp:tnt' or 'warp'
+         * @returns {boolean}
+         */
+        function calloutSeen(name) {
+            return data.callouts.indexOf(name) >= 0;
+        }
+
+        function markCallout(name) {
+            if (!calloutSeen(name)) data.callouts.push(name);
+        }
+
+        /**
+         * Add a finished run to the history and update its mode's best score.
+         * @param {Object} run { date, mode, level, score, cause, seed }
+         */
+        function recordRun(run) {
+            data.runs.unshift(run);
+            if (data.runs.length > MAX_RUNS) data.runs.length = MAX_RUNS;
+            recordScore(run.mode, run.score);
+        }
+
+        return {
+            get data() { return data; },
+            save,
+            reset,
+            importProfile,
+            exportProfile,
+            record,
+            setMode,
+            recordLevel,
+            recordScore,
+            recordPop,
+            recordPowerUp,
+            recordRun,
+            leaderboard,
+            submitScore,
+            setInitials,
+            achievement,
+            recordAchievement,
+            setSkin,
+            calloutSeen,
+            markCallout
+        };
+    }
+
+    /**
+     * Feed a simulation's events into a profile, filed under the mode being played. Runs end at
+     * game over and are saved then; levels reached, scores, pops and power-ups are saved at the end
+     * of every level, which is how zen runs (which never end) set their records. Runs go on the
+     * leaderboard when they end, and zen runs after every level.
+     * @param {Object} sim Simulation to watch
+     * @param {Object} store Profile store
+     * @param {Function} [isCounted] Returns false while events should be ignored (replays, previews)
+     * @returns {Object} Tracker; currentEntry() is the run's leaderboard entry once it has one
+     */
+    function trackProfile(sim, store, isCounted) {
+        const counted = () => !isCounted || isCounted();
+        let startLevel = 1;
+        let runEntry = null;
+
+        // One entry per run, updated in place as a run that never ends keeps scoring
+        function placeRun(level, score) {
+            if (!runEntry) {
+                runEntry = {
+                    initials: store.data.initials,
+                    startLevel,
+                    seed: sim.state.seed,
+                    director: sim.getDirector().enabled,
+                    date: new Date().toISOString()
+                };
+            }
+            runEntry.level = level;
+            runEntry.score = score;
+            store.submitScore(sim.state.mode, runEntry);
+        }
+
+        sim.on('reset', ({ level }) => {
+            startLevel = level;
+            runEntry = null;
+        });
+
+        sim.on('levelStart', ({ level }) => { if (counted()) store.recordLevel(sim.state.mode, level); });
+        sim.on('pop', ({ circle }) => { if (counted()) store.recordPop(circle.type); });
+        sim.on('powerUpUse', ({ kind }) => { if (counted()) store.recordPowerUp(kind, 'used'); });
+        sim.on('powerUpBank', ({ kind }) => { if (counted()) store.recordPowerUp(kind, 'banked'); });
+        sim.on('levelComplete', ({ level, score }) => {
+            if (!counted()) return;
+            store.recordScore(sim.state.mode, score);
+            const mode = sim.getMode();
+            if (mode.overflow === 'shrink' && !mode.timeLimit) placeRun(level, score);
+            store.save();
+        });
+        sim.on('levelUp', ({ score }) => {
+            if (!counted()) return;
+            store.recordScore(sim.state.mode, score);
+            store.save();
+        });
+        sim.on('gameOver', ({ level, score, circle }) => {
+            if (!counted()) return;
+            store.recordRun({
+                date: new Date().toISOString(),
+                mode: sim.state.mode,
+                level,
+                score,
+                cause: circle ? circle.type : null,
+                seed: sim.state.seed
+            });
+            placeRun(level, score);
+            store.save();
+        });
+
+        return { currentEntry: () => runEntry };
+    }
+
+    return { createProfileStore, trackProfile, parseProfile, cleanInitials, PROFILE_VERSION, LEADERBOARD_SIZE };
+});
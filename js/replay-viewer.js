@@ -0,0 +1,124 @@
+// Replay viewer
+// Plays a recorded run back through the live simulation and renderer, with
+// pause, scrub and speed controls in the replay bar under the game area.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./replay'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.replayViewer = factory(root.CircleSurvival.replay);
+    }
+})(typeof self !== 'undefined' ? self : this, function (replayLib) {
+    'use strict';
+
+    function formatTime(seconds) {
+        const m = Math.floor(seconds / 60);
+        const s = Math.floor(seconds % 60);
+        return m + ':' + (s < 10 ? '0' : '') + s;
+    }
+
+    /**
+     * Create the replay viewer.
+     * @param {Object} sim Simulation the replay is played into
+     * @param {Object} renderer Renderer attached to that simulation
+     * @param {Object} elements Replay bar controls: bar, playBtn, scrub, timeLabel, speedSelect, exitBtn
+     * @param {Object} [options]
+     * @param {Function} [options.onFrame] Called after every rendered frame (e.g. to refresh the HUD)
+     * @param {Function} [options.onExit] Called when the viewer is closed
+     * @returns {Object} Viewer with open(replay), close() and an `active` flag
+     */
+    function createReplayViewer(sim, renderer, elements, options) {
+        const opts = options || {};
+        const { bar, playBtn, scrub, timeLabel, speedSelect, exitBtn } = elements;
+        let player = null;
+        let playing = false;
+        let speed = 1;
+        let carry = 0;          // fractional ticks left over between frames
+        let lastFrameTime = 0;
+        let frameId = null;
+
+        const viewer = { active: false, open, close };
+
+        function refreshControls() {
+            playBtn.textContent = playing ? 'Pause' : 'Play';
+            scrub.max = player.end.toString();
+            scrub.value = player.tick.toString();
+            timeLabel.textContent = formatTime(player.tick * sim.TICK) + ' / ' + formatTime(player.end * sim.TICK);
+        }
+
+        function frame(timestamp) {
+            if (!viewer.active) return;
+            const dt = Math.min(0.25, (timestamp - lastFrameTime) / 1000);
+            lastFrameTime = timestamp;
+            if (playing) {
+                carry += (dt * speed) / sim.TICK;
+                const ticks = Math.floor(carry);
+                carry -= ticks;
+                player.advance(ticks);
+                if (player.finished()) playing = false;
+            }
+            renderer.render(playing ? dt * speed : dt);
+            refreshControls();
+            if (opts.onFrame) opts.onFrame();
+            frameId = requestAnimationFrame(frame);
+        }
+
+        function seek(tick) {
+            // skip particle bursts for everything that happens while jumping
+            renderer.setEffectsEnabled(false);
+            player.seek(tick);
+            renderer.setEffectsEnabled(true);
+            renderer.clear();
+            carry = 0;
+        }
+
+        playBtn.addEventListener('click', () => {
+            if (!viewer.active) return;
+            if (!playing && player.finished()) seek(0);
+            playing = !playing;
+            refreshControls();
+        });
+        scrub.addEventListener('input', () => {
+            if (!viewer.active) return;
+            seek(parseInt(scrub.value, 10));
+            refreshControls();
+        });
+        speedSelect.addEventListener('change', () => {
+            speed = parseFloat(speedSelect.value) || 1;
+        });
+        exitBtn.addEventListener('click', () => close());
+
+        /**
+         * Start watching a replay.
+         * @param {Object} replay Replay data (see js/replay.js)
+         */
+        function open(replay) {
+            replay = replayLib.parseReplay(replay);
+            viewer.active = true;
+            renderer.clear();
+            player = replayLib.createPlayer(sim, replay);
+            playing = true;
+            carry = 0;
+            speed = parseFloat(speedSelect.value) || 1;
+            bar.classList.remove('hidden');
+            refreshControls();
+            lastFrameTime = performance.now();
+            frameId = requestAnimationFrame(frame);
+        }
+
+        function close() {
+            if (!viewer.active) return;
+            viewer.active = false;
+            playing = false;
+            cancelAnimationFrame(frameId);
+            bar.classList.add('hidden');
+            renderer.clear();
+            if (opts.onExit) opts.onExit();
+        }
+
+        return viewer;
+    }
+
+    return { createReplayViewer };
+});
@@ -0,0 +1,186 @@
+// Replay recording and playback
+// A replay is the seed a run was reset with plus every input the simulation reported,
+// each stamped with the tick it happened on. Feeding the same inputs back into a fresh
+// simulation with the same seed reproduces the run frame for frame.
+//
+// File format (JSON):
+//   { v: 4, seed, level, width, height, end, mode, pack, director, inputs: [[tickDelta, code, ...args], ...] }
+// where code is 'c' (circle clicked, id), 'p' (flying pickup clicked), 'u' (banked power-up used, slot),
+// 'm' (empty space clicked, x, y), 's' (level started, level), 'r' (play area resized, width, height)
+// or 'd' (circle dropped on the board from outside, type).
+// `mode` is the game mode and `pack` the level pack the run was played with; each is present
+// only when it was not the default (classic, and the shipped pack). `director` is true when the
+// adaptive director tuned the run and left out otherwise.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./levels'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.replay = factory(root.CircleSurvival.levels);
+    }
+})(typeof self !== 'undefined' ? self : this, function (levels) {
+    'use strict';
+
+    // Version 4 moved spawns, warps and blasts onto the game-time scheduler, version 3 added
+    // power-ups, version 2 level packs; older replays timed or rolled things differently and
+    // can't be reproduced
+    const REPLAY_VERSION = 4;
+
+    const INPUT_CODES = { circle: 'c', pickup: 'p', powerUp: 'u', miss: 'm', start: 's', bounds: 'r', drop: 'd' };
+
+    function encodeInput(input) {
+        switch (input.type) {
+            case 'circle': return [INPUT_CODES.circle, input.id];
+            case 'powerUp': return [INPUT_CODES.powerUp, input.slot];
+            case 'miss': return [INPUT_CODES.miss, Math.round(input.x), Math.round(input.y)];
+            case 'start': return [INPUT_CODES.start, input.level];
+            case 'bounds': return [INPUT_CODES.bounds, Math.round(input.width), Math.round(input.height)];
+            case 'drop': return [INPUT_CODES.drop, input.kind];
+            default: return [INPUT_CODES[input.type]];
+        }
+    }
+
+    // Apply one decoded replay entry to the simulation
+    function applyInput(sim, entry) {
+        switch (entry[1]) {
+            case 'c': sim.hitCircle(entry[2]); break;
+            case 'p': sim.clickPickup(); break;
+            case 'u': sim.usePowerUp(entry[2]); break;
+            case 'm': sim.missClick(entry[2], entry[3]); break;
+            case 's': sim.startLevel(entry[2]); break;
+            case 'r': sim.setBounds(entry[2], entry[3]); break;
+            case 'd': sim.dropCircle(entry[2]); break;
+        }
+    }
+
+    /**
+     * Record every run of a simulation. A new recording begins whenever the simulation is reset.
+     * @param {Object} sim Simulation to record
+     * @returns {Object} Recorder; current() returns the replay of the run in progress
+     */
+    function createRecorder(sim) {
+        let replay = null;
+        let lastTick = 0;
+
+        sim.on('reset', ({ level, seed, width, height, mode, director }) => {
+            replay = { v: REPLAY_VERSION, seed, level, width: Math.round(width), height: Math.round(height), end: 0, inputs: [] };
+            if (mode !== 'classic') replay.mode = mode;
+            if (director) replay.director = true;
+            if (sim.getPack() !== levels.DEFAULT_PACK) replay.pack = sim.getPack();
+            lastTick = 0;
+        });
+        sim.on('input', (input) => {
+            if (!replay || !(input.type in INPUT_CODES)) return;
+            replay.inputs.push([input.tick - lastTick].concat(encodeInput(input)));
+            lastTick = input.tick;
+        });
+
+        /**
+         * Snapshot of the run recorded so far.
+         * @returns {Object|null} Replay data, or null before the first reset
+         */
+        function current() {
+            if (!replay) return null;
+            return Object.assign({}, replay, { end: sim.state.tick, inputs: replay.inputs.slice() });
+        }
+
+        return { current };
+    }
+
+    /**
+     * Validate replay data loaded from a file.
+     * @param {*} data Parsed JSON
+     * @returns {Object} The replay
+     * @throws {Error} If the data is not a replay this version understands
+     */
+    function parseReplay(data) {
+        if (typeof data === 'string') data = JSON.parse(data);
+        if (!data || data.v !== REPLAY_VERSION) throw new Error('Unsupported replay version');
+        if (typeof data.seed !== 'number' || !Array.isArray(data.inputs)) throw new Error('Malformed replay');
+        if (data.mode !== undefined && typeof data.mode !== 'string') throw new Error('Malformed replay');
+        if (data.director !== undefined && typeof data.director !== 'boolean') throw new Error('Malformed replay');
+        if (data.pack !== undefined) levels.parsePack(data.pack);
+        return data;
+    }
+
+    /**
+     * Play a replay back into a simulation. The simulation is reset with the replay's seed
+     * and switched to the replay's mode, level pack and director setting.
+     * @param {Object} sim Simulation to drive
+     * @param {Object} replay Replay data
+     * @returns {Object} Player with advance(ticks), seek(tick) and restart()
+     */
+    function createPlayer(sim, replay) {
+        // Convert tick deltas to absolute ticks once
+        const entries = [];
+        let t = 0;
+        for (const input of replay.inputs) {
+            t += input[0];
+            entries.push([t].concat(input.slice(1)));
+        }
+        const end = Math.max(replay.end || 0, t);
+        let cursor = 0;
+
+        function restart() {
+            sim.setMode(replay.mode || 'classic');
+            sim.setPack(replay.pack || levels.DEFAULT_PACK);
+            sim.setDirector(!!replay.director);
+            sim.setBounds(replay.width, replay.height);
+            sim.reset(replay.level, replay.seed);
+            cursor = 0;
+        }
+
+        function applyDueInputs() {
+            while (cursor < entries.length && entries[cursor][0] <= sim.state.tick) {
+                applyInput(sim, entries[cursor]);
+                cursor++;
+            }
+        }
+
+        function finished() {
+            return sim.state.tick >= end && cursor >= entries.length;
+        }
+
+        /**
+         * Simulate up to `ticks` more ticks, applying inputs as their tick comes up.
+         * @param {number} ticks
+         */
+        function advance(ticks) {
+            for (let i = 0; i < ticks && !finished(); i++) {
+                applyDueInputs();
+                // the last inputs can land on the end tick: apply them but step no further
+                if (sim.state.tick >= end) return;
+                if (sim.state.status !== 'running') {
+                    // between levels or after the end: nothing more can happen without input
+                    if (cursor >= entries.length) return;
+                    continue;
+                }
+                sim.step(sim.TICK);
+            }
+            applyDueInputs();
+        }
+
+        /**
+         * Jump to an absolute tick, re-simulating from the start when going backwards.
+         * @param {number} target
+         */
+        function seek(target) {
+            if (target < sim.state.tick) restart();
+            advance(target - sim.state.tick);
+        }
+
+        restart();
+
+        return {
+            advance,
+            seek,
+            restart,
+            finished,
+            get tick() { return sim.state.tick; },
+            end
+        };
+    }
+
+    return { createRecorder, createPlayer, parseReplay, REPLAY_VERSION };
+});
@@ -0,0 +1,209 @@
+// Keyboard and gamepad aiming
+// A reticle on the board for playing without a pointer: arrow keys, WASD, a gamepad's left
+// stick or d-pad move it, and firing pops whatever is under it, just like a click there.
+// This module only tracks the reticle and reads the gamepad; the page decides what firing
+// does and the renderer draws the reticle while it is visible.
+//
+// Gamepad buttons (standard mapping): A fires, X / Y / B fire bank slots 1–3, RB jumps to
+// the biggest circle and Start pauses or resumes. A on a menu presses the focused button.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.reticle = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SPEED = 480;               // px/sec with a key held or the stick pushed all the way
+    const DEADZONE = 0.2;            // stick travel ignored around the centre
+    const REACH = 24;                // px beyond a circle's edge a shot still counts as on it
+
+    const KEY_DIRECTIONS = {
+        ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1],
+        a: [-1, 0], d: [1, 0], w: [0, -1], s: [0, 1]
+    };
+    const BUTTONS = { fire: 0, slot1: 2, slot2: 3, slot3: 1, jump: 5, pause: 9, up: 12, down: 13, left: 14, right: 15 };
+    const SLOT_BUTTONS = [BUTTONS.slot1, BUTTONS.slot2, BUTTONS.slot3];
+
+    /**
+     * Create a reticle for a simulation's board.
+     * @param {Object} sim Simulation (its state gives the board size and the circles)
+     * @param {Object} [options]
+     * @param {Function} [options.isPlaying] () => boolean: whether a level is running and unpaused
+     * @param {Function} [options.onFire] Called with (x, y, circle): the reticle's position and the
+     *   circle under it or within reach of it, if any
+     * @param {Function} [options.onPowerUp] Called with a bank slot index
+     * @param {Function} [options.onPause] Called when the gamepad asks to pause or resume
+     * @param {Function} [options.onConfirm] Called when the gamepad's A is pressed outside play
+     * @returns {Object} Reticle with x, y and visible, plus keyDown, keyUp, releaseKeys, update,
+     *   fire, jumpToBiggest, center and hide
+     */
+    function createReticle(sim, options) {
+        const opts = options || {};
+        const isPlaying = opts.isPlaying || (() => true);
+        const held = new Set();
+        let pressed = [];        // gamepad buttons down on the last poll
+        let padFrame = null;
+        let lastPoll = 0;
+
+        const reticle = {
+            x: sim.state.width / 2,
+            y: sim.state.height / 2,
+            visible: false,
+            keyDown,
+            keyUp,
+            releaseKeys,
+            update,
+            fire,
+            jumpToBiggest,
+            center,
+            hide
+        };
+
+        function move(dx, dy, dt) {
+            reticle.visible = true;
+            reticle.x = Math.min(sim.state.width, Math.max(0, reticle.x + dx * SPEED * dt));
+            reticle.y = Math.min(sim.state.height, Math.max(0, reticle.y + dy * SPEED * dt));
+        }
+
+        /**
+         * Note a key going down.
+         * @param {string} key KeyboardEvent.key
+         * @returns {boolean} Whether the key steers the reticle
+         */
+        function keyDown(key) {
+            const name = key.length === 1 ? key.toLowerCase() : key;
+            if (!KEY_DIRECTIONS[name]) return false;
+            held.add(name);
+            reticle.visible = true;
+            return true;
+        }
+
+        function keyUp(key) {
+            held.delete(key.length === 1 ? key.toLowerCase() : key);
+        }
+
+        // Forget held keys, e.g. when the window loses focus and their keyups never arrive
+        function releaseKeys() {
+            held.clear();
+        }
+
+        /**
+         * Move by the held keys. Call once per frame while playing.
+         * @param {number} dt Seconds since the last frame
+         */
+        function update(dt) {
+            let dx = 0;
+            let dy = 0;
+            for (const key of held) {
+                dx += KEY_DIRECTIONS[key][0];
+                dy += KEY_DIRECTIONS[key][1];
+            }
+            if (dx || dy) {
+                const length = Math.sqrt(dx * dx + dy * dy);
+                move(dx / length, dy / length, dt);
+            }
+        }
+
+        /**
+         * Pop whatever is under the reticle, or the nearest circle within reach of it.
+         */
+        function fire() {
+            reticle.visible = true;
+            if (opts.onFire) opts.onFire(reticle.x, reticle.y, nearestCircle());
+        }
+
+        // A keyboard is clumsier than a mouse, so a near miss snaps to the closest circle
+        function nearestCircle() {
+            const exact = sim.circleAt(reticle.x, reticle.y);
+            if (exact) return exact;
+            let best = null;
+            let bestGap = REACH;
+            for (const circle of sim.state.circles) {
+                const gap = Math.hypot(circle.x - reticle.x, circle.y - reticle.y) - circle.radius;
+                if (gap <= bestGap) {
+                    best = circle;
+                    bestGap = gap;
+                }
+            }
+            return best;
+        }
+
+        /**
+         * Put the reticle on the biggest circle, the one closest to filling the board.
+         * @returns {Object|null} The circle, if there is one
+         */
+        function jumpToBiggest() {
+            let biggest = null;
+            for (const circle of sim.state.circles) {
+                if (!biggest || circle.radius > biggest.radius) biggest = circle;
+            }
+            if (biggest) {
+                reticle.x = biggest.x;
+                reticle.y = biggest.y;
+                reticle.visible = true;
+            }
+            return biggest;
+        }
+
+        function center() {
+            reticle.x = sim.state.width / 2;
+            reticle.y = sim.state.height / 2;
+        }
+
+        // The pointer took over
+        function hide() {
+            reticle.visible = false;
+        }
+
+        // ── Gamepad ──
+        // Polled on its own frame loop while a pad is connected, so Start still works while paused
+
+        function pollGamepad(timestamp) {
+            padFrame = null;
+            const pad = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).find((p) => p && p.connected);
+            if (!pad) {
+                lastPoll = 0;
+                return;
+            }
+            const dt = lastPoll ? Math.min(0.1, (timestamp - lastPoll) / 1000) : 0;
+            lastPoll = timestamp;
+            const down = pad.buttons.map((button) => button.pressed);
+            const tapped = (index) => down[index] && !pressed[index];
+            const playing = isPlaying();
+            if (tapped(BUTTONS.pause) && opts.onPause) opts.onPause();
+            if (playing) {
+                let dx = pad.axes[0] || 0;
+                let dy = pad.axes[1] || 0;
+                if (Math.hypot(dx, dy) < DEADZONE) dx = dy = 0;
+                if (down[BUTTONS.left]) dx = -1;
+                if (down[BUTTONS.right]) dx = 1;
+                if (down[BUTTONS.up]) dy = -1;
+                if (down[BUTTONS.down]) dy = 1;
+                if (dx || dy) move(dx, dy, dt);
+                if (tapped(BUTTONS.fire)) fire();
+                if (tapped(BUTTONS.jump)) jumpToBiggest();
+                SLOT_BUTTONS.forEach((button, slot) => {
+                    if (tapped(button) && opts.onPowerUp) opts.onPowerUp(slot);
+                });
+            } else if (tapped(BUTTONS.fire) && opts.onConfirm) {
+                opts.onConfirm();
+            }
+            pressed = down;
+            padFrame = requestAnimationFrame(pollGamepad);
+        }
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('gamepadconnected', () => {
+                if (padFrame === null) padFrame = requestAnimationFrame(pollGamepad);
+            });
+        }
+
+        return reticle;
+    }
+
+    return { createReticle };
+});
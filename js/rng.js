@@ -0,0 +1,42 @@
+// Seedable pseudo-random number generator
+// Every random choice the simulation makes goes through one of these so that a run
+// can be reproduced exactly from its seed and the player's inputs.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.rng = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Create a mulberry32 generator. Small, fast and good enough for gameplay.
+     * @param {number} seed 32-bit unsigned integer seed
+     * @returns {Function} Generator returning floats in [0, 1); its `seed` property holds the seed
+     */
+    function createRng(seed) {
+        let a = seed >>> 0;
+        function random() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+        random.seed = seed >>> 0;
+        return random;
+    }
+
+    /**
+     * Pick a fresh seed for a new run.
+     * @returns {number} 32-bit unsigned integer
+     */
+    function randomSeed() {
+        return (Math.random() * 4294967296) >>> 0;
+    }
+
+    return { createRng, randomSeed };
+});
@@ -0,0 +1,92 @@
+// Game-time scheduler
+// Timers that count down in game time rather than wall-clock time, so they stop when the
+// simulation stops stepping (paused, help open, tab hidden) and stay exact in replays.
+// Each timer runs on a named clock; the simulation advances each clock by its own dt, which
+// is how the board can run slower than the level clock during slow-mo.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.scheduler = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Slack so a delay that is a whole number of ticks never fires a tick late to rounding
+    const EPSILON = 1e-9;
+
+    /**
+     * Create an empty scheduler.
+     * @returns {Object} Scheduler with after/cancel/pending/advance/clear methods
+     */
+    function createScheduler() {
+        let timers = [];
+
+        /**
+         * Run an action once a delay of game time has passed on a clock.
+         * @param {number} delay Seconds from now
+         * @param {Function} action Called when the timer fires, with how many seconds late it
+         *   fired (the rest of the tick it came due in), so repeating timers can stay on the beat
+         * @param {string} [clock] Clock the delay is measured on; defaults to 'game'
+         * @returns {Object} Timer handle for cancel() and pending()
+         */
+        function after(delay, action, clock) {
+            const timer = { left: delay, action, clock: clock || 'game' };
+            timers.push(timer);
+            return timer;
+        }
+
+        /**
+         * Drop a timer before it fires. Unknown or already fired timers are ignored.
+         * @param {Object} timer Handle from after()
+         */
+        function cancel(timer) {
+            const idx = timers.indexOf(timer);
+            if (idx >= 0) timers.splice(idx, 1);
+        }
+
+        /**
+         * Whether a timer is still waiting to fire.
+         * @param {Object} timer Handle from after()
+         * @returns {boolean}
+         */
+        function pending(timer) {
+            return timers.indexOf(timer) >= 0;
+        }
+
+        /**
+         * Move one clock forward and fire every timer on it that has come due, the most
+         * overdue first; timers due at the same moment fire in the order they were set.
+         * An action may set or cancel timers, or clear() the lot.
+         * @param {string} clock
+         * @param {number} dt Seconds of game time
+         */
+        function advance(clock, dt) {
+            for (const timer of timers) {
+                if (timer.clock === clock) timer.left -= dt;
+            }
+            for (;;) {
+                let due = null;
+                for (const timer of timers) {
+                    if (timer.clock === clock && timer.left <= EPSILON && (!due || timer.left < due.left)) due = timer;
+                }
+                if (!due) return;
+                cancel(due);
+                due.action(Math.max(0, -due.left));
+            }
+        }
+
+        /**
+         * Drop every timer on every clock.
+         */
+        function clear() {
+            timers = [];
+        }
+
+        return { after, cancel, pending, advance, clear };
+    }
+
+    return { createScheduler };
+});
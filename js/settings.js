@@ -0,0 +1,131 @@
+// Display and feedback settings
+// The choices offered on the settings overlay and the store that keeps them in
+// localStorage: theme, circle palette, particle density, haptics, the size of the game
+// area, whether the adaptive difficulty director tunes new runs and whether they race a
+// ghost of the best one (js/ghost.js). The page applies the looks as classes on <body> (the
+// themes and palettes are CSS custom properties in index.html), hands the rest to the
+// renderer and the simulation; sound settings live in js/audio.js.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.settings = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STORAGE_KEY = 'circleSurvival.settings';
+
+    // Each choice setting: its label, the default and the options as value -> label
+    const CHOICES = {
+        theme: {
+            label: 'Theme',
+            initial: 'dark',
+            options: { dark: 'Dark', light: 'Light', contrast: 'High contrast' }
+        },
+        palette: {
+            label: 'Circle colours',
+            initial: 'standard',
+            options: {
+                standard: 'Standard',
+                'red-green': 'Red–green safe',
+                'blue-yellow': 'Blue–yellow safe'
+            }
+        },
+        particles: {
+            label: 'Particles',
+            initial: 'normal',
+            options: { off: 'Off', low: 'Low', normal: 'Normal', high: 'High' }
+        },
+        board: {
+            label: 'Game area',
+            initial: 'full',
+            options: { full: 'Full window', large: 'Large', medium: 'Medium', small: 'Small' }
+        }
+    };
+
+    // On/off settings and their defaults
+    const TOGGLES = { haptics: true, director: false, ghost: false };
+
+    // Particles per burst relative to the normal amount
+    const PARTICLE_DENSITY = { off: 0, low: 0.4, normal: 1, high: 1.6 };
+
+    function defaults() {
+        const settings = Object.assign({}, TOGGLES);
+        for (const key in CHOICES) settings[key] = CHOICES[key].initial;
+        return settings;
+    }
+
+    /**
+     * Read saved settings, keeping only known values so a stale or damaged save falls back
+     * to the defaults.
+     * @param {Storage} [storage]
+     * @returns {Object} { theme, palette, particles, board, haptics, director, ghost }
+     */
+    function loadSettings(storage) {
+        const settings = defaults();
+        if (!storage) return settings;
+        try {
+            const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+            if (saved && typeof saved === 'object') {
+                for (const key in CHOICES) {
+                    if (Object.prototype.hasOwnProperty.call(CHOICES[key].options, saved[key])) settings[key] = saved[key];
+                }
+                for (const key in TOGGLES) {
+                    if (typeof saved[key] === 'boolean') settings[key] = saved[key];
+                }
+            }
+        } catch (err) {
+            // unreadable settings are replaced on the next save
+        }
+        return settings;
+    }
+
+    /**
+     * Create a settings store backed by localStorage.
+     * @param {Storage} [storage] Where settings are kept; without one they last for the visit
+     * @returns {Object} Store with data, set(key, value) and onChange(handler)
+     */
+    function createSettingsStore(storage) {
+        const data = loadSettings(storage);
+        const handlers = [];
+
+        /**
+         * Change one setting, save and tell the listeners. Unknown values are ignored.
+         * @param {string} key
+         * @param {*} value
+         */
+        function set(key, value) {
+            if (key in TOGGLES) value = value === true;
+            else if (!CHOICES[key] || !Object.prototype.hasOwnProperty.call(CHOICES[key].options, value)) return;
+            data[key] = value;
+            if (storage) {
+                try {
+                    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+                } catch (err) {
+                    // storage full or blocked: the setting lasts for this visit
+                }
+            }
+            for (const handler of handlers) handler(key, value);
+        }
+
+        /**
+         * Listen for changes.
+         * @param {Function} handler (key, value)
+         * @returns {Function} Unsubscribe
+         */
+        function onChange(handler) {
+            handlers.push(handler);
+            return () => {
+                const idx = handlers.indexOf(handler);
+                if (idx >= 0) handlers.splice(idx, 1);
+            };
+        }
+
+        return { data, set, onChange };
+    }
+
+    return { CHOICES, TOGGLES, PARTICLE_DENSITY, STORAGE_KEY, loadSettings, createSettingsStore };
+});
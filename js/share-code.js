@@ -0,0 +1,164 @@
+// Share codes
+// A run's result packed into a short code that can be pasted anywhere: the seed, mode and
+// starting level needed to play the same run again, plus the level reached, the score and
+// the player's initials. The bytes are written in Crockford base32, which skips letters that
+// look like digits, and sealed with a keyed checksum so a mistyped or hand-edited code is
+// rejected. The key ships with the game, so the seal stops typos and casual tampering, not a
+// determined forger; there is no server to vouch for a score.
+//
+// Layout (19 bytes): version, director flag and mode (1), seed (4), starting level (2),
+// level reached (2), score (4), initials (3), checksum (3).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./modes'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.shareCode = factory(root.CircleSurvival.modes);
+    }
+})(typeof self !== 'undefined' ? self : this, function (modes) {
+    'use strict';
+
+    const CODE_VERSION = 1;
+    const PREFIX = 'CS';
+    const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    const INITIALS_CHARS = ' ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    const PAYLOAD_BYTES = 16;
+    const CHECKSUM_BYTES = 3;
+    const SEAL = 'circle-survival/share/1';
+    const GROUP = 4;                 // characters between dashes
+    const DIRECTOR_FLAG = 8;         // in the first byte, beside the mode's index
+    const BODY_LENGTH = Math.ceil((PAYLOAD_BYTES + CHECKSUM_BYTES) * 8 / 5);
+
+    // FNV-1a over the seal and the payload, folded to 24 bits
+    function checksum(bytes) {
+        let hash = 0x811c9dc5;
+        const feed = (value) => {
+            hash ^= value;
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        };
+        for (let i = 0; i < SEAL.length; i++) feed(SEAL.charCodeAt(i));
+        for (const byte of bytes) feed(byte);
+        return ((hash >>> 24) ^ hash) & 0xffffff;
+    }
+
+    function writeUint(bytes, offset, value, size) {
+        for (let i = size - 1; i >= 0; i--) {
+            bytes[offset + i] = value & 0xff;
+            value = Math.floor(value / 256);
+        }
+    }
+
+    function readUint(bytes, offset, size) {
+        let value = 0;
+        for (let i = 0; i < size; i++) value = value * 256 + bytes[offset + i];
+        return value;
+    }
+
+    function toBase32(bytes) {
+        let out = '';
+        let buffer = 0;
+        let bits = 0;
+        for (const byte of bytes) {
+            buffer = (buffer << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                out += ALPHABET[(buffer >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+            buffer &= (1 << bits) - 1;
+        }
+        if (bits > 0) out += ALPHABET[(buffer << (5 - bits)) & 31];
+        return out;
+    }
+
+    // Case-insensitive, reading I and L as 1 and O as 0 the way Crockford intends
+    function fromBase32(text) {
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+        for (const char of text.toUpperCase().replace(/[IL]/g, '1').replace(/O/g, '0')) {
+            const value = ALPHABET.indexOf(char);
+            if (value < 0) throw new Error('Invalid share code: unexpected character "' + char + '"');
+            buffer = (buffer << 5) | value;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((buffer >>> (bits - 8)) & 0xff);
+                bits -= 8;
+                buffer &= (1 << bits) - 1;
+            }
+        }
+        return bytes;
+    }
+
+    function clampUint(value, max) {
+        return Math.min(max, Math.max(0, Math.floor(Number(value) || 0)));
+    }
+
+    /**
+     * Pack a run's result into a share code.
+     * @param {Object} result
+     * @param {number} result.seed Seed the run was reset with
+     * @param {string} result.mode Game mode name
+     * @param {number} result.startLevel Level the run started on
+     * @param {number} result.level Level reached
+     * @param {number} result.score Final score
+     * @param {string} [result.initials] Up to three letters or digits
+     * @param {boolean} [result.director] Whether the adaptive director tuned the run
+     * @returns {string} Code like CS-1ABC-DEF2-…
+     */
+    function encodeShareCode(result) {
+        const modeIndex = modes.modeNames().indexOf(result.mode);
+        if (modeIndex < 0) throw new Error('Unknown game mode "' + result.mode + '"');
+        const bytes = new Array(PAYLOAD_BYTES).fill(0);
+        bytes[0] = (CODE_VERSION << 4) | (result.director ? DIRECTOR_FLAG : 0) | modeIndex;
+        writeUint(bytes, 1, result.seed >>> 0, 4);
+        writeUint(bytes, 5, clampUint(result.startLevel, 0xffff), 2);
+        writeUint(bytes, 7, clampUint(result.level, 0xffff), 2);
+        writeUint(bytes, 9, clampUint(result.score, 0xffffffff), 4);
+        const initials = String(result.initials || '').toUpperCase();
+        for (let i = 0; i < 3; i++) bytes[13 + i] = Math.max(0, INITIALS_CHARS.indexOf(initials[i] || ' '));
+        const sealed = bytes.slice();
+        writeUint(sealed, PAYLOAD_BYTES, checksum(bytes), CHECKSUM_BYTES);
+        const body = toBase32(sealed);
+        const groups = [];
+        for (let i = 0; i < body.length; i += GROUP) groups.push(body.slice(i, i + GROUP));
+        return PREFIX + '-' + groups.join('-');
+    }
+
+    /**
+     * Read a share code back. Spaces, dashes and letter case don't matter.
+     * @param {string} code
+     * @returns {Object} { seed, mode, startLevel, level, score, initials, director }
+     * @throws {Error} If the code is malformed, from a newer version or fails its checksum
+     */
+    function decodeShareCode(code) {
+        let text = String(code || '').replace(/[\s-]/g, '').toUpperCase();
+        // the body itself may start with the prefix's letters, so go by length
+        if (text.length === PREFIX.length + BODY_LENGTH && text.indexOf(PREFIX) === 0) text = text.slice(PREFIX.length);
+        if (text.length !== BODY_LENGTH) throw new Error('Invalid share code: it should be ' + BODY_LENGTH + ' characters after "' + PREFIX + '-"');
+        const bytes = fromBase32(text);
+        const payload = bytes.slice(0, PAYLOAD_BYTES);
+        const version = payload[0] >> 4;
+        if (version > CODE_VERSION) throw new Error('Invalid share code: made by a newer version of the game');
+        if (version !== CODE_VERSION) throw new Error('Invalid share code: unknown version ' + version);
+        if (readUint(bytes, PAYLOAD_BYTES, CHECKSUM_BYTES) !== checksum(payload)) {
+            throw new Error('Invalid share code: the checksum does not match (mistyped or edited?)');
+        }
+        const mode = modes.modeNames()[payload[0] & (DIRECTOR_FLAG - 1)];
+        if (!mode) throw new Error('Invalid share code: unknown game mode');
+        let initials = '';
+        for (let i = 0; i < 3; i++) initials += INITIALS_CHARS[payload[13 + i]] || '';
+        return {
+            seed: readUint(payload, 1, 4),
+            mode,
+            startLevel: Math.max(1, readUint(payload, 5, 2)),
+            level: readUint(payload, 7, 2),
+            score: readUint(payload, 9, 4),
+            initials: initials.trim(),
+            director: (payload[0] & DIRECTOR_FLAG) !== 0
+        };
+    }
+
+    return { encodeShareCode, decodeShareCode, CODE_VERSION };
+});
@@ -0,0 +1,995 @@
+// Circle Survival simulation core
+// Owns circles, power-ups, timers and scoring as plain data. Nothing in here touches
+// the DOM: the game advances through step(dt) and reports what happened through
+// an event stream that renderers, UI glue and balance scripts subscribe to.
+// Loads as a browser global (CircleSurvival.sim) or as a CommonJS module in Node.
+//
+// Time advances in fixed ticks and all randomness comes from a seeded generator,
+// so a seed plus the inputs reported through the 'input' event reproduce a run exactly.
+// Anything that waits (spawns, warps, staggered blasts) is a timer on the game-time
+// scheduler (see js/scheduler.js), on one of two clocks: 'game', the level clock, and
+// 'board', which power-up time scales such as slow-mo stretch.
+// Difficulty (spawn curve, type weights, warps, waves) comes from a level pack; see js/levels.js.
+// What each kind of circle does comes from the circle type registry; see js/circle-types.js.
+// What each pickup does comes from the power-up registry; see js/power-ups.js.
+// The rules around the levels (breaks, overflow, run clock, power-ups) come from the mode; see js/modes.js.
+// Levels can switch on circle-to-circle collisions and merging; see js/physics.js.
+// Runs can hand the spawn pace, growth and type mix to an adaptive director; see js/director.js.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rng'), require('./scheduler'), require('./physics'), require('./levels'), require('./circle-types'),
+            require('./power-ups'), require('./modes'), require('./director'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.sim = factory(root.CircleSurvival.rng, root.CircleSurvival.scheduler, root.CircleSurvival.physics,
+            root.CircleSurvival.levels, root.CircleSurvival.circleTypes, root.CircleSurvival.powerUps, root.CircleSurvival.modes,
+            root.CircleSurvival.director);
+    }
+})(typeof self !== 'undefined' ? self : this, function (rng, scheduling, physics, levels, circleTypes, powerUps, modes, directing) {
+    'use strict';
+
+    const TICK = 1 / 60;             // seconds of game time per simulation tick
+
+    const INITIAL_RADIUS = 15;
+
+    // Power-up pickups (when they appear is set per level by the pack's `bomb` settings)
+    const MAX_BANK_SLOTS = 3;
+    const PICKUP_SPEED = 220;        // px/sec
+    const PICKUP_SIZE = 64;
+
+    // Scoring: bigger circles are worth more, and quick clicks chain into a multiplier
+    const BASE_POINTS = 10;          // a freshly spawned circle
+    const SIZE_BONUS = 4;            // extra BASE_POINTS for a circle about to fill the board
+    const MULTIPLIER_STEP = 0.25;    // added by each clicked pop in a chain
+    const MAX_MULTIPLIER = 4;
+    const COMBO_GRACE = 0.8;         // seconds after a pop before the multiplier starts to fall
+    const MULTIPLIER_DECAY = 1.5;    // multiplier lost per second after that
+    const MISCLICK_PENALTY = 5;      // clicking empty space also ends the chain
+
+    /**
+     * Create a new simulation instance.
+     * @param {Object} [options]
+     * @param {number} [options.width] Width of the play area in pixels
+     * @param {number} [options.height] Height of the play area in pixels
+     * @param {number} [options.seed] Seed for the first run; a random one is picked if omitted
+     * @param {Object} [options.pack] Validated level pack; defaults to the shipped pack
+     * @param {string} [options.mode] Game mode; defaults to classic
+     * @param {boolean} [options.director] Let the adaptive director tune runs
+     * @returns {Object} Simulation with a plain-data `state` and step/input methods
+     */
+    function createSimulation(options) {
+        const opts = options || {};
+        const listeners = {};
+        let random = rng.createRng(opts.seed !== undefined ? opts.seed : rng.randomSeed());
+        let pack = opts.pack || levels.DEFAULT_PACK;
+        let mode = modes.getMode(opts.mode);
+        let config = modes.applyMode(mode, levels.resolveLevel(pack, 1));   // settings of the level being played
+        let nextCircleId = 1;
+        let accumulator = 0;
+        const scheduler = scheduling.createScheduler();
+        let spawnTimer = null;
+        let warpTimer = null;
+        const spatialIndex = physics.createSpatialIndex();
+        const director = directing.createDirector();
+        let directorWanted = !!opts.director;   // applied at the next reset
+        director.reset(directorWanted);
+
+        const state = {
+            seed: random.seed,
+            tick: 0,                 // fixed ticks simulated since the run was reset
+            width: opts.width || 800,
+            height: opts.height || 600,
+            status: 'idle',          // 'idle' | 'running' | 'levelComplete' | 'gameOver'
+            mode: mode.name,
+            level: 1,
+            duration: config.duration,
+            timeLeft: config.duration,
+            elapsed: 0,
+            runTime: 0,              // seconds played since the run was reset, for modes with a time limit
+            score: 0,                // whole run
+            levelScore: 0,           // current level only
+            levelScores: [],         // [{ level, score }] for each level finished this run
+            combo: 0,                // clicked pops in the current chain
+            multiplier: 1,
+            comboTimer: 0,           // seconds left before the multiplier starts to decay
+            circles: [],
+            boss: null,              // the boss circle while a boss level's fight is on
+            baseSpawnInterval: config.spawn.start,
+            spawnInterval: config.spawn.start,
+            nextWave: 0,             // index of the next scripted wave in config.waves
+            warpActive: false,
+            pickup: null,            // flying power-up: { kind, x, y, speed, direction, size }
+            bank: [],                // banked power-up names, one per inventory slot
+            pickupCooldown: config.bomb.initialCooldown,
+            effects: []              // timed power-ups in effect: [{ name, timeLeft, duration }]
+        };
+
+        /**
+         * Subscribe to a simulation event.
+         * @param {string} type Event name, e.g. 'spawn', 'pop' or 'gameOver'
+         * @param {Function} handler Called with the event payload
+         * @returns {Function} Unsubscribe function
+         */
+        function on(type, handler) {
+            (listeners[type] = listeners[type] || []).push(handler);
+            return () => {
+                const list = listeners[type];
+                const idx = list.indexOf(handler);
+                if (idx >= 0) list.splice(idx, 1);
+            };
+        }
+
+        function emit(type, payload) {
+            const list = listeners[type];
+            if (!list) return;
+            for (const handler of list.slice()) handler(payload || {});
+        }
+
+        // Largest radius a circle may reach before the game is lost
+        function maxRadius() {
+            return Math.min(state.width, state.height) / 2;
+        }
+
+        // Report a player (or page) input so recorders can reproduce it later
+        function emitInput(input) {
+            input.tick = state.tick;
+            emit('input', input);
+        }
+
+        function setBounds(width, height) {
+            if (width === state.width && height === state.height) return;
+            state.width = width;
+            state.height = height;
+            emitInput({ type: 'bounds', width, height });
+        }
+
+        /**
+         * Switch to another level pack. A level in progress carries on under the new
+         * settings, which is what lets the level editor tweak a level while it plays.
+         * @param {Object} newPack Validated level pack
+         */
+        function setPack(newPack) {
+            const previous = config;
+            pack = newPack || levels.DEFAULT_PACK;
+            config = resolveConfig();
+            if (state.status === 'running') retuneLevel(previous);
+        }
+
+        // Carry a running level's timers over to freshly resolved settings
+        function retuneLevel(previous) {
+            state.duration = config.duration;
+            state.timeLeft = Math.max(0, config.duration - state.elapsed);
+            // keep the current point on the spawn curve, scaled to the new starting gap
+            state.baseSpawnInterval = Math.max(state.baseSpawnInterval * config.spawn.start / previous.spawn.start, config.spawn.min);
+            // waves scheduled before now count as already spawned
+            state.nextWave = 0;
+            while (state.nextWave < config.waves.length && config.waves[state.nextWave].at <= state.elapsed) state.nextWave++;
+            if (!config.warp) {
+                if (state.warpActive) {
+                    state.warpActive = false;
+                    emit('warpEnd', {});
+                }
+            } else if (!state.warpActive) {
+                const { start, interval } = config.warp;
+                const nextWarpAt = state.elapsed <= start ? start : start + Math.ceil((state.elapsed - start) / interval) * interval;
+                scheduler.cancel(warpTimer);
+                warpTimer = scheduler.after(nextWarpAt - state.elapsed, startWarp);
+            }
+            if (!config.warp) scheduler.cancel(warpTimer);
+            state.spawnInterval = state.warpActive ? state.baseSpawnInterval * config.warp.factor : state.baseSpawnInterval;
+        }
+
+        function getPack() {
+            return pack;
+        }
+
+        /**
+         * Switch game mode. Takes effect from the next reset, which starts a fresh run.
+         * @param {string} name Mode name from js/modes.js
+         */
+        function setMode(name) {
+            mode = modes.getMode(name);
+            state.mode = mode.name;
+        }
+
+        function getMode() {
+            return mode;
+        }
+
+        /**
+         * Switch the adaptive director on or off. Like the mode, it takes effect from the next
+         * reset, so a run is tuned the same way from start to finish.
+         * @param {boolean} enabled
+         */
+        function setDirector(enabled) {
+            directorWanted = !!enabled;
+        }
+
+        // The director of the run in progress: enabled, offset, tuning and its decision history
+        function getDirector() {
+            return director;
+        }
+
+        // The current level's settings from the pack, adjusted by the mode
+        function resolveConfig() {
+            return modes.applyMode(mode, levels.resolveLevel(pack, state.level));
+        }
+
+        // What circle type and power-up hooks get to work with (see js/circle-types.js)
+        const game = {
+            get state() { return state; },
+            get config() { return config; },
+            random: () => random(),
+            maxRadius: () => maxRadius(),
+            addCircle: (props) => addCircle(makeCircle(props)),
+            spawnCircle: (type, x, y, radius) => spawnCircle(type, x, y, radius),
+            removeCircle: (circle) => removeCircle(circle),
+            queuePop: (circle, delay) => scheduler.after(delay, () => blastCircle(circle)),
+            after: (delay, action, clock) => scheduler.after(delay, action, clock),
+            emit: (type, payload) => emit(type, payload)
+        };
+
+        function typeOf(circle) {
+            return circleTypes.getCircleType(circle.type) || circleTypes.getCircleType('normal');
+        }
+
+        function makeCircle(props) {
+            return Object.assign({
+                id: nextCircleId++,
+                x: 0,
+                y: 0,
+                radius: INITIAL_RADIUS,
+                growth: config.growth * director.tuning.growth,
+                born: state.tick,
+                clicks: 1,
+                driftX: 0,
+                driftY: 0,
+                type: 'normal',
+                damaged: false,
+                isChild: false,
+                fuseTimeLeft: null
+            }, props);
+        }
+
+        function addCircle(circle) {
+            state.circles.push(circle);
+            emit('spawn', { circle });
+            return circle;
+        }
+
+        function removeCircle(circle) {
+            const idx = state.circles.indexOf(circle);
+            if (idx < 0) return false;
+            state.circles.splice(idx, 1);
+            if (circle === state.boss) state.boss = null;
+            emit('remove', { circle });
+            return true;
+        }
+
+        function clearCircles() {
+            for (const circle of state.circles.slice()) removeCircle(circle);
+        }
+
+        // Add (or take away) points; a level's score never drops below zero
+        function addScore(points, detail) {
+            const before = state.levelScore;
+            state.levelScore = Math.max(0, before + points);
+            state.score += state.levelScore - before;
+            emit('score', Object.assign({ score: state.score, levelScore: state.levelScore, points: state.levelScore - before }, detail));
+        }
+
+        function resetCombo() {
+            state.combo = 0;
+            state.multiplier = 1;
+            state.comboTimer = 0;
+        }
+
+        // Points for a popped circle: scaled by how close it came to filling the board, plus any
+        // bonus its type gives. Clicked pops use and extend the combo multiplier; bomb pops don't.
+        function scorePop(circle, cause, type) {
+            const closeness = Math.min(1, circle.radius / maxRadius());
+            let points = BASE_POINTS * (1 + SIZE_BONUS * closeness);
+            if (type.bonus) points += type.bonus(circle, cause, game);
+            const multiplier = cause === 'click' ? state.multiplier : 1;
+            if (cause === 'click') {
+                state.combo++;
+                state.multiplier = Math.min(MAX_MULTIPLIER, state.multiplier + MULTIPLIER_STEP);
+                state.comboTimer = COMBO_GRACE;
+            }
+            addScore(Math.round(points * multiplier), { reason: cause, multiplier, x: circle.x, y: circle.y });
+        }
+
+        function updateCombo(dt) {
+            if (state.comboTimer > 0) {
+                state.comboTimer -= dt;
+                return;
+            }
+            if (state.multiplier <= 1) return;
+            state.multiplier = Math.max(1, state.multiplier - MULTIPLIER_DECAY * dt);
+            if (state.multiplier === 1) state.combo = 0;
+        }
+
+        /**
+         * Player clicked empty space: lose a few points and the combo.
+         * @param {number} x Where, in play area coordinates (for feedback only)
+         * @param {number} y
+         * @returns {boolean} Whether the miss counted
+         */
+        function missClick(x, y) {
+            if (state.status !== 'running') return false;
+            emitInput({ type: 'miss', x, y });
+            resetCombo();
+            addScore(-MISCLICK_PENALTY, { reason: 'miss', multiplier: 1, x, y });
+            return true;
+        }
+
+        // Reset timers and spawn pacing for the current level
+        function resetLevelState() {
+            clearCircles();
+            removePickup();
+            scheduler.clear();
+            config = resolveConfig();
+            state.duration = config.duration;
+            state.timeLeft = config.duration;
+            state.elapsed = 0;
+            // restarting a level takes back the points scored in it
+            state.levelScore = 0;
+            state.score = state.levelScores.reduce((sum, entry) => sum + entry.score, 0);
+            resetCombo();
+            clearEffects();
+            state.baseSpawnInterval = config.spawn.start;
+            state.spawnInterval = state.baseSpawnInterval;
+            armSpawn();
+            state.nextWave = 0;
+            state.warpActive = false;
+            armWarps();
+            state.pickupCooldown = config.bomb.initialCooldown;
+        }
+
+        /**
+         * Start (or restart) a level. Banked power-ups carry over between levels.
+         * @param {number} [level] Level to start; defaults to the current level
+         */
+        function startLevel(level) {
+            if (level !== undefined) state.level = level;
+            resetLevelState();
+            state.status = 'running';
+            emitInput({ type: 'start', level: state.level });
+            emit('levelStart', { level: state.level });
+            if (config.boss) spawnBoss();
+        }
+
+        /**
+         * Reset everything back to a fresh game on level 1 (or the given level).
+         * @param {number} [level]
+         * @param {number} [seed] Seed for the new run; a random one is picked if omitted
+         */
+        function reset(level, seed) {
+            state.level = level || 1;
+            state.levelScores = [];
+            state.runTime = 0;
+            resetLevelState();
+            random = rng.createRng(seed !== undefined ? seed : rng.randomSeed());
+            state.seed = random.seed;
+            state.tick = 0;
+            accumulator = 0;
+            nextCircleId = 1;
+            state.bank = [];
+            emit('bankChange', { bank: state.bank });
+            state.status = 'idle';
+            director.reset(directorWanted);
+            emit('reset', {
+                level: state.level,
+                seed: state.seed,
+                width: state.width,
+                height: state.height,
+                mode: mode.name,
+                director: director.enabled
+            });
+        }
+
+        // Pick a circle type using the level's relative weights, the special types scaled by
+        // the director when it is on
+        function rollType() {
+            const weights = config.weights;
+            const weight = (type) => weights[type] * (type === 'normal' ? 1 : director.tuning.special);
+            let total = 0;
+            for (const type in weights) total += weight(type);
+            let roll = random() * total;
+            for (const type in weights) {
+                roll -= weight(type);
+                if (roll < 0) return type;
+            }
+            return 'normal';
+        }
+
+        /**
+         * Create a circle of the given type and add it to the board.
+         * @param {string} type Circle type
+         * @param {number} [x] Position; random within the play area if omitted
+         * @param {number} [y]
+         * @param {number} [radius] Starting radius
+         * @returns {Object} The new circle
+         */
+        function spawnCircle(type, x, y, radius) {
+            const circle = makeCircle({
+                x: x !== undefined ? x : random() * (state.width - INITIAL_RADIUS * 2) + INITIAL_RADIUS,
+                y: y !== undefined ? y : random() * (state.height - INITIAL_RADIUS * 2) + INITIAL_RADIUS,
+                radius: radius || INITIAL_RADIUS,
+                type: type || rollType()
+            });
+            const def = typeOf(circle);
+            if (def.spawn) def.spawn(circle, game);
+            return addCircle(circle);
+        }
+
+        /**
+         * Drop a circle onto the board from outside the level's own spawning, at a random spot:
+         * the garbage one versus board sends the other (see js/versus.js). It is reported as an
+         * input, so replays reproduce it.
+         * @param {string} type Circle type
+         * @returns {Object|null} The new circle, or null when no level is running
+         */
+        function dropCircle(type) {
+            if (state.status !== 'running' || !circleTypes.getCircleType(type)) return null;
+            emitInput({ type: 'drop', kind: type });
+            const circle = spawnCircle(type);
+            emit('drop', { circle });
+            return circle;
+        }
+
+        /**
+         * Player clicked a circle. Its type decides whether the click pops it or only damages it.
+         * @param {Object|number} target Circle object or circle id
+         * @returns {boolean} Whether the click landed on a live circle
+         */
+        function hitCircle(target) {
+            if (state.status !== 'running') return false;
+            const circle = typeof target === 'number' ? findCircle(target) : target;
+            if (!circle || state.circles.indexOf(circle) < 0) return false;
+            emitInput({ type: 'circle', id: circle.id });
+            if (typeOf(circle).hit(circle, game)) popCircle(circle, 'click');
+            else emit('hit', { circle });
+            return true;
+        }
+
+        function popCircle(circle, cause) {
+            const wasBoss = circle === state.boss;
+            director.notePop((state.tick - circle.born) * TICK, cause);
+            emit('pop', { circle, cause });
+            const type = typeOf(circle);
+            if (type.pop) type.pop(circle, cause, game);
+            removeCircle(circle);
+            scorePop(circle, cause, type);
+            if (wasBoss) bossDefeated(circle);
+        }
+
+        // ── Bosses ──
+        // A boss level's regular spawning stops: the boss calls in its own minions instead
+
+        function spawnBoss() {
+            scheduler.cancel(spawnTimer);
+            state.boss = spawnCircle('boss', state.width / 2, state.height / 2, config.boss.radius);
+            emit('bossSpawn', { circle: state.boss, boss: config.boss });
+        }
+
+        // Beating the boss ends the level early and banks a power-up, in modes that have them
+        // and when there's room for one
+        function bossDefeated(circle) {
+            let reward = null;
+            if (mode.powerUps && state.bank.length < MAX_BANK_SLOTS) {
+                reward = rollReward();
+                state.bank.push(reward);
+                emit('powerUpBank', { kind: reward, bank: state.bank });
+                emit('bankChange', { bank: state.bank });
+            }
+            emit('bossDefeat', { circle, reward });
+            if (mode.levelBreaks) levelComplete();
+            else levelUp();
+        }
+
+        // The level's time ran out with the boss still standing: the run ends, except in
+        // forgiving modes, where the boss just leaves and the level carries on to its end
+        function bossTimeUp() {
+            const boss = state.boss;
+            if (mode.overflow !== 'shrink') {
+                gameOver(boss, 'boss');
+                return;
+            }
+            removeCircle(boss);
+            emit('bossEscape', { circle: boss });
+        }
+
+        function findCircle(id) {
+            for (const c of state.circles) if (c.id === id) return c;
+            return null;
+        }
+
+        /**
+         * Topmost circle under a point. Later circles are drawn on top, so search backwards.
+         * @param {number} x
+         * @param {number} y
+         * @returns {Object|null}
+         */
+        function circleAt(x, y) {
+            for (let i = state.circles.length - 1; i >= 0; i--) {
+                const c = state.circles[i];
+                const dx = c.x - x;
+                const dy = c.y - y;
+                if (dx * dx + dy * dy <= c.radius * c.radius) return c;
+            }
+            return null;
+        }
+
+        /**
+         * Whether a point lies on the flying pickup.
+         * @param {number} x
+         * @param {number} y
+         * @returns {boolean}
+         */
+        function pickupContains(x, y) {
+            const pickup = state.pickup;
+            return !!pickup && x >= pickup.x && x <= pickup.x + pickup.size && y >= pickup.y && y <= pickup.y + pickup.size;
+        }
+
+        // ── Power-ups ──
+
+        // Pick the next pickup among the power-ups whose spawn condition holds, by weight
+        function rollPowerUp() {
+            const eligible = powerUps.powerUpNames().map(powerUps.getPowerUp).filter((def) => def.condition(game));
+            let total = 0;
+            for (const def of eligible) total += def.weight;
+            let roll = random() * total;
+            for (const def of eligible) {
+                roll -= def.weight;
+                if (roll < 0) return def.name;
+            }
+            return 'tnt';
+        }
+
+        // Any power-up at all, by weight, whatever the spawn conditions say
+        function rollReward() {
+            const names = powerUps.powerUpNames();
+            let total = 0;
+            for (const name of names) total += powerUps.getPowerUp(name).weight;
+            let roll = random() * total;
+            for (const name of names) {
+                roll -= powerUps.getPowerUp(name).weight;
+                if (roll < 0) return name;
+            }
+            return 'tnt';
+        }
+
+        function spawnPickup() {
+            if (state.pickup) return; // one at a time
+            const kind = rollPowerUp();
+            const direction = random() < 0.5 ? 1 : -1; // 1 = left→right, -1 = right→left
+            state.pickup = {
+                kind,
+                x: direction === 1 ? -PICKUP_SIZE : state.width + PICKUP_SIZE,
+                y: 40 + random() * (state.height - 100),
+                speed: PICKUP_SPEED,
+                direction,
+                size: PICKUP_SIZE
+            };
+            emit('pickupSpawn', { pickup: state.pickup });
+        }
+
+        function removePickup() {
+            if (!state.pickup) return;
+            const pickup = state.pickup;
+            state.pickup = null;
+            emit('pickupRemove', { pickup });
+        }
+
+        function updatePickup(dt) {
+            if (!mode.powerUps) return;
+            if (!state.pickup) {
+                state.pickupCooldown -= dt;
+                if (state.pickupCooldown <= 0 && state.circles.length >= config.bomb.threshold) {
+                    spawnPickup();
+                    state.pickupCooldown = config.bomb.cooldown;
+                }
+                return;
+            }
+            const pickup = state.pickup;
+            pickup.x += pickup.speed * pickup.direction * dt;
+            const exitedRight = pickup.direction === 1 && pickup.x > state.width + PICKUP_SIZE;
+            const exitedLeft = pickup.direction === -1 && pickup.x < -PICKUP_SIZE;
+            if (exitedRight || exitedLeft) {
+                // Bank it if room
+                if (state.bank.length < MAX_BANK_SLOTS) {
+                    state.bank.push(pickup.kind);
+                    emit('powerUpBank', { kind: pickup.kind, bank: state.bank });
+                    emit('bankChange', { bank: state.bank });
+                }
+                removePickup();
+            }
+        }
+
+        /**
+         * Player clicked the flying pickup: fire it where it is.
+         * @returns {boolean} Whether there was a pickup to fire
+         */
+        function clickPickup() {
+            if (state.status !== 'running' || !state.pickup) return false;
+            const pickup = state.pickup;
+            emitInput({ type: 'pickup' });
+            removePickup();
+            activatePowerUp(pickup.kind, pickup.x + PICKUP_SIZE / 2, pickup.y + PICKUP_SIZE / 2, 'pickup');
+            return true;
+        }
+
+        /**
+         * Fire the power-up in a bank slot, in the centre of the play area.
+         * @param {number} [slot] Inventory slot; defaults to the first
+         * @returns {boolean} Whether the slot held a power-up (never in modes without them)
+         */
+        function usePowerUp(slot) {
+            if (!mode.powerUps) return false;
+            const index = slot || 0;
+            if (state.status !== 'running' || index < 0 || index >= state.bank.length) return false;
+            emitInput({ type: 'powerUp', slot: index });
+            const kind = state.bank.splice(index, 1)[0];
+            emit('bankChange', { bank: state.bank });
+            activatePowerUp(kind, state.width / 2, state.height / 2, 'bank');
+            return true;
+        }
+
+        function activatePowerUp(kind, x, y, source) {
+            const def = powerUps.getPowerUp(kind);
+            if (!def) return;
+            director.notePowerUp();
+            emit('powerUpUse', { kind, x, y, source });
+            if (def.effect) startEffect(def);
+            if (def.activate) def.activate(game, x, y);
+        }
+
+        // A timed power-up fired again while it lasts starts its clock over
+        function startEffect(def) {
+            const active = state.effects.find((effect) => effect.name === def.name);
+            if (active) {
+                active.timeLeft = def.effect.duration;
+            } else {
+                state.effects.push({ name: def.name, timeLeft: def.effect.duration, duration: def.effect.duration });
+            }
+            emit('effectStart', { name: def.name, duration: def.effect.duration });
+        }
+
+        function updateEffects(dt) {
+            for (let i = state.effects.length - 1; i >= 0; i--) {
+                const effect = state.effects[i];
+                effect.timeLeft -= dt;
+                if (effect.timeLeft > 0) continue;
+                state.effects.splice(i, 1);
+                emit('effectEnd', { name: effect.name });
+            }
+        }
+
+        function clearEffects() {
+            for (const effect of state.effects.splice(0)) emit('effectEnd', { name: effect.name });
+        }
+
+        // Product of one scale (timeScale or growthScale) over every effect in progress
+        function effectScale(key) {
+            let scale = 1;
+            for (const effect of state.effects) {
+                const value = powerUps.getPowerUp(effect.name).effect[key];
+                if (value !== undefined) scale *= value;
+            }
+            return scale;
+        }
+
+        // A queued blast reaches a circle; a circle type's blast hook can shrug it off, as bosses do
+        function blastCircle(circle) {
+            if (state.circles.indexOf(circle) < 0) return;
+            const type = typeOf(circle);
+            if (type.blast && !type.blast(circle, game)) {
+                emit('hit', { circle });
+                return;
+            }
+            popCircle(circle, 'bomb');
+        }
+
+        // ── Timers ──
+        // Spawns run on the board clock, so slow-mo slows them with the circles; the warp
+        // schedule follows the level clock
+
+        function armSpawn() {
+            spawnTimer = scheduler.after(state.spawnInterval * director.tuning.spawn / 1000, spawnNext, 'board');
+        }
+
+        function spawnNext() {
+            spawnCircle();
+            state.baseSpawnInterval = Math.max(state.baseSpawnInterval * config.spawn.acceleration, config.spawn.min);
+            state.spawnInterval = state.warpActive ? state.baseSpawnInterval * config.warp.factor : state.baseSpawnInterval;
+            armSpawn();
+        }
+
+        // Time warps on levels that schedule them: spawns speed up for `duration` seconds
+        // every `interval` seconds from `start`
+        function armWarps() {
+            scheduler.cancel(warpTimer);
+            warpTimer = config.warp ? scheduler.after(config.warp.start, startWarp) : null;
+        }
+
+        function startWarp(late) {
+            state.warpActive = true;
+            state.spawnInterval = state.baseSpawnInterval * config.warp.factor;
+            warpTimer = scheduler.after(config.warp.duration - late, endWarp);
+            emit('warpStart', {});
+        }
+
+        function endWarp(late) {
+            state.warpActive = false;
+            state.spawnInterval = state.baseSpawnInterval;
+            warpTimer = scheduler.after(config.warp.interval - config.warp.duration - late, startWarp);
+            emit('warpEnd', {});
+        }
+
+        // Spawn any scripted waves whose time has come
+        function updateWaves() {
+            const waves = config.waves;
+            while (state.nextWave < waves.length && waves[state.nextWave].at <= state.elapsed) {
+                const wave = waves[state.nextWave++];
+                for (let i = 0; i < (wave.count || 1); i++) {
+                    const x = wave.x !== undefined ? wave.x * state.width : undefined;
+                    const y = wave.y !== undefined ? wave.y * state.height : undefined;
+                    spawnCircle(wave.type, x, y, wave.radius);
+                }
+                emit('wave', { wave });
+            }
+        }
+
+        // ── Physics ──
+        // On levels that switch it on, overlapping circles push apart and drifters bounce off
+        // each other; with `merge`, same-type circles that touch fuse instead
+
+        function updatePhysics() {
+            const settings = config.physics;
+            spatialIndex.rebuild(state.circles);
+            const absorbed = new Set();
+            for (const [a, b] of spatialIndex.contacts()) {
+                if (absorbed.has(a) || absorbed.has(b)) continue;
+                if (settings.merge && a.type === b.type && typeOf(a).merges) {
+                    absorbed.add(mergeCircles(a, b));
+                    continue;
+                }
+                physics.separate(a, b, settings.push);
+                physics.keepInside(a, state.width, state.height);
+                physics.keepInside(b, state.width, state.height);
+            }
+        }
+
+        // The bigger circle swallows the smaller one, keeping the area of both; returns the one swallowed
+        function mergeCircles(a, b) {
+            const keep = b.radius > a.radius ? b : a;
+            const gone = keep === a ? b : a;
+            const keepArea = keep.radius * keep.radius;
+            const goneArea = gone.radius * gone.radius;
+            keep.x = (keep.x * keepArea + gone.x * goneArea) / (keepArea + goneArea);
+            keep.y = (keep.y * keepArea + gone.y * goneArea) / (keepArea + goneArea);
+            keep.radius = Math.sqrt(keepArea + goneArea);
+            physics.keepInside(keep, state.width, state.height);
+            removeCircle(gone);
+            emit('merge', { circle: keep, absorbed: gone });
+            return gone;
+        }
+
+        // A circle filled the board in a mode that forgives it: it shrinks back to its starting size
+        function shrinkBack(circle) {
+            circle.radius = INITIAL_RADIUS;
+            resetCombo();
+            emit('overflow', { circle });
+            if (mode.overflowPenalty) addScore(-mode.overflowPenalty, { reason: 'overflow', multiplier: 1, x: circle.x, y: circle.y });
+        }
+
+        // Grow, move and expire circles; returns the circle that filled the board, if any
+        function updateCircles(dt) {
+            const maxR = maxRadius();
+            const growthScale = effectScale('growthScale');
+            for (const circle of state.circles.slice()) {
+                if (state.circles.indexOf(circle) < 0) continue;
+                circle.radius += circle.growth * growthScale * dt;
+                circle.x += circle.driftX * dt;
+                circle.y += circle.driftY * dt;
+                const type = typeOf(circle);
+                if (type.update) {
+                    type.update(circle, dt, game);
+                    // the type may have removed its own circle (a fuse running out)
+                    if (state.circles.indexOf(circle) < 0) continue;
+                }
+                // bounce off walls if drifting
+                if (circle.driftX !== 0 || circle.driftY !== 0) {
+                    if (circle.x - circle.radius < 0) {
+                        circle.x = circle.radius;
+                        circle.driftX = Math.abs(circle.driftX);
+                    } else if (circle.x + circle.radius > state.width) {
+                        circle.x = state.width - circle.radius;
+                        circle.driftX = -Math.abs(circle.driftX);
+                    }
+                    if (circle.y - circle.radius < 0) {
+                        circle.y = circle.radius;
+                        circle.driftY = Math.abs(circle.driftY);
+                    } else if (circle.y + circle.radius > state.height) {
+                        circle.y = state.height - circle.radius;
+                        circle.driftY = -Math.abs(circle.driftY);
+                    }
+                }
+                if (circle.radius < maxR) continue;
+                if (mode.overflow !== 'shrink') return circle;
+                shrinkBack(circle);
+            }
+            return null;
+        }
+
+        function levelComplete() {
+            const completedLevel = state.level;
+            const levelScore = state.levelScore;
+            state.levelScores.push({ level: completedLevel, score: levelScore });
+            clearCircles();
+            removePickup();
+            clearEffects();
+            scheduler.clear();
+            state.status = 'levelComplete';
+            state.level++;
+            config = resolveConfig();
+            state.duration = config.duration;
+            state.timeLeft = config.duration;
+            state.elapsed = 0;
+            state.levelScore = 0;
+            resetCombo();
+            emit('levelComplete', { level: completedLevel, levelScore, score: state.score });
+        }
+
+        // Modes without level breaks roll straight into the next level: the board, pickups and
+        // combo carry over, and the spawn pace never eases off to the new level's starting gap
+        function levelUp() {
+            const completedLevel = state.level;
+            const levelScore = state.levelScore;
+            state.levelScores.push({ level: completedLevel, score: levelScore });
+            state.level++;
+            config = resolveConfig();
+            state.duration = config.duration;
+            state.timeLeft = config.duration;
+            state.elapsed = 0;
+            state.levelScore = 0;
+            state.baseSpawnInterval = Math.max(Math.min(state.baseSpawnInterval, config.spawn.start), config.spawn.min);
+            state.nextWave = 0;
+            if (state.warpActive) {
+                state.warpActive = false;
+                emit('warpEnd', {});
+            }
+            armWarps();
+            state.spawnInterval = state.baseSpawnInterval;
+            // the spawn timer carries on, unless a boss fight stopped it
+            if (!scheduler.pending(spawnTimer)) armSpawn();
+            emit('levelUp', { level: state.level, completedLevel, levelScore, score: state.score });
+            emit('levelStart', { level: state.level });
+            if (config.boss) spawnBoss();
+        }
+
+        /**
+         * The run ended.
+         * @param {Object|null} circle The circle that ended it, if one did
+         * @param {string} reason 'overflow' (a circle filled the board), 'boss' (the level's time
+         *   ran out with its boss still alive) or 'timeUp' (the mode's clock ran out)
+         */
+        function gameOver(circle, reason) {
+            state.status = 'gameOver';
+            state.levelScores.push({ level: state.level, score: state.levelScore });
+            emit('gameOver', {
+                level: state.level,
+                levelScore: state.levelScore,
+                score: state.score,
+                circle,
+                reason
+            });
+            clearCircles();
+            removePickup();
+            clearEffects();
+            scheduler.clear();
+        }
+
+        /**
+         * Advance the simulation by dt seconds. Time is consumed in fixed ticks; any
+         * remainder carries over to the next call.
+         * @param {number} dt Seconds of game time to simulate
+         */
+        function step(dt) {
+            if (state.status !== 'running' || dt <= 0) return;
+            accumulator += dt;
+            // small epsilon so repeated 1/60 steps never lose a tick to rounding
+            while (accumulator >= TICK - 1e-9 && state.status === 'running') {
+                accumulator -= TICK;
+                tick(TICK);
+            }
+            if (state.status !== 'running') accumulator = 0;
+        }
+
+        // Simulate exactly one tick
+        function tick(dt) {
+            state.tick++;
+            state.timeLeft -= dt;
+            state.elapsed += dt;
+            state.runTime += dt;
+            if (mode.timeLimit && state.runTime >= mode.timeLimit - 1e-9) {
+                gameOver(null, 'timeUp');
+                return;
+            }
+            if (state.timeLeft <= 0 && state.boss) {
+                bossTimeUp();
+                if (state.status !== 'running') return;
+            }
+            if (state.timeLeft <= 0) {
+                if (mode.levelBreaks) {
+                    levelComplete();
+                    return;
+                }
+                levelUp();
+            }
+            updateCombo(dt);
+            scheduler.advance('game', dt);
+            // a blast may have beaten the level's boss
+            if (state.status !== 'running') return;
+            updateWaves();
+            // slow-mo stretches the board's time; the level clock, pickups and effects keep real time
+            const boardDt = dt * effectScale('timeScale');
+            scheduler.advance('board', boardDt);
+            const overflow = updateCircles(boardDt);
+            if (overflow) {
+                gameOver(overflow, 'overflow');
+                return;
+            }
+            if (config.physics) updatePhysics();
+            updatePickup(dt);
+            updateEffects(dt);
+            updateDirector(dt);
+        }
+
+        // Let the director look at the board; a decision retunes spawns from the next one on
+        function updateDirector(dt) {
+            if (!director.enabled) return;
+            let biggest = 0;
+            for (const circle of state.circles) {
+                if (circle !== state.boss) biggest = Math.max(biggest, circle.radius);
+            }
+            const decision = director.update(dt, { fill: biggest / maxRadius(), count: state.circles.length });
+            if (decision) emit('directorAdjust', Object.assign({ level: state.level }, decision));
+        }
+
+        return {
+            TICK,
+            state,
+            on,
+            setBounds,
+            setPack,
+            getPack,
+            setMode,
+            getMode,
+            setDirector,
+            getDirector,
+            maxRadius,
+            startLevel,
+            reset,
+            step,
+            hitCircle,
+            missClick,
+            dropCircle,
+            findCircle,
+            circleAt,
+            pickupContains,
+            clickPickup,
+            usePowerUp
+        };
+    }
+
+    return {
+        createSimulation,
+        TICK,
+        MAX_BANK_SLOTS,
+        MAX_MULTIPLIER,
+        PICKUP_SIZE
+    };
+});
@@ -0,0 +1,177 @@
+// Cosmetic skins
+// Looks that achievements unlock (see js/achievements.js): a circle skin changes how every
+// circle is painted, keeping its type's colours, and a TNT skin replaces the TNT pickup's
+// sprite. They are decoration only; the simulation never sees them. The classic skins are
+// what the renderer and the power-up registry draw anyway, so they have nothing to paint.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.skins = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ── Circle skins ──
+    // paint(ctx, circle, style, borderWidth) draws one circle; style is { fill, border } from
+    // the active palette
+
+    // Glossy soap bubble: a see-through body, a thin rim and a highlight up and to the left
+    function paintBubble(ctx, circle, style, borderWidth) {
+        const { x, y, radius } = circle;
+        ctx.save();
+        ctx.globalAlpha = 0.55;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = style.fill;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = Math.max(1, borderWidth / 2);
+        ctx.strokeStyle = style.border;
+        ctx.stroke();
+        if (radius > 6) {
+            ctx.beginPath();
+            ctx.arc(x - radius * 0.35, y - radius * 0.35, radius * 0.22, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    // Glowing outline with almost no body
+    function paintNeon(ctx, circle, style, borderWidth) {
+        const { x, y, radius } = circle;
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(x, y, Math.max(1, radius - borderWidth / 2), 0, Math.PI * 2);
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = style.fill;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.shadowColor = style.border;
+        ctx.shadowBlur = 12;
+        ctx.lineWidth = borderWidth + 1;
+        ctx.strokeStyle = style.border;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Target rings: the body, then two rings in the rim colour
+    function paintBullseye(ctx, circle, style, borderWidth) {
+        const { x, y, radius } = circle;
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = style.fill;
+        ctx.fill();
+        ctx.strokeStyle = style.border;
+        ctx.lineWidth = borderWidth;
+        for (const share of [1, 0.62, 0.25]) {
+            const ring = radius * share - borderWidth / 2;
+            if (ring <= 0) continue;
+            ctx.beginPath();
+            ctx.arc(x, y, ring, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    const CIRCLE_SKINS = {
+        classic: { label: 'Classic' },
+        bubble: { label: 'Bubbles', paint: paintBubble },
+        neon: { label: 'Neon', paint: paintNeon },
+        bullseye: { label: 'Bullseye', paint: paintBullseye }
+    };
+
+    // ── TNT skins ──
+    // draw(canvas, size) paints the sprite, like a power-up's appearance.draw
+
+    function block(canvas, size, body, rim) {
+        canvas.width = size; canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = body; ctx.fillRect(0, 0, size, size);
+        ctx.strokeStyle = rim; ctx.lineWidth = Math.max(1, size / 16);
+        ctx.strokeRect(0, 0, size, size);
+        return ctx;
+    }
+
+    // Gold ingot stamped TNT, with a shine across one corner
+    function drawGold(canvas, size) {
+        const ctx = block(canvas, size, '#F9A825', '#8D6E00');
+        ctx.fillStyle = '#FFE082';
+        ctx.beginPath();
+        ctx.moveTo(0, size * 0.35); ctx.lineTo(size * 0.35, 0); ctx.lineTo(size * 0.5, 0); ctx.lineTo(0, size * 0.5);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = '#6D4C00';
+        ctx.font = 'bold ' + Math.max(6, Math.floor(size * 0.28)) + 'px monospace';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText('TNT', size / 2, size / 2 + 0.5);
+    }
+
+    // Red present with a yellow ribbon and bow
+    function drawGift(canvas, size) {
+        const ctx = block(canvas, size, '#D32F2F', '#7F0000');
+        const ribbon = Math.max(2, size * 0.16);
+        ctx.fillStyle = '#FFD54F';
+        ctx.fillRect((size - ribbon) / 2, 0, ribbon, size);
+        ctx.fillRect(0, (size - ribbon) / 2, size, ribbon);
+        ctx.beginPath();
+        ctx.ellipse(size * 0.38, size * 0.4, size * 0.12, size * 0.07, -0.5, 0, Math.PI * 2);
+        ctx.ellipse(size * 0.62, size * 0.4, size * 0.12, size * 0.07, 0.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Three sticks of dynamite tied together, fuses up
+    function drawDynamite(canvas, size) {
+        canvas.width = size; canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const stick = size * 0.26;
+        const top = size * 0.22;
+        for (let i = 0; i < 3; i++) {
+            const x = size * 0.11 + i * stick;
+            ctx.fillStyle = '#E53935';
+            ctx.fillRect(x, top, stick - 1, size - top);
+            ctx.fillStyle = '#B71C1C';
+            ctx.fillRect(x + stick - Math.max(2, size / 20), top, Math.max(1, size / 20), size - top);
+            ctx.fillStyle = '#3E3E3E';
+            ctx.fillRect(x + stick / 2 - 1, top - size * 0.14, Math.max(2, size / 24), size * 0.14);
+        }
+        ctx.fillStyle = '#5C2D0E';
+        ctx.fillRect(size * 0.08, size * 0.55, size * 0.84, Math.max(2, size * 0.08));
+    }
+
+    const TNT_SKINS = {
+        classic: { label: 'Classic' },
+        gold: { label: 'Gold bar', draw: drawGold },
+        gift: { label: 'Gift box', draw: drawGift },
+        dynamite: { label: 'Dynamite', draw: drawDynamite }
+    };
+
+    // Which collection a skin kind names
+    const SKINS = { circles: CIRCLE_SKINS, tnt: TNT_SKINS };
+
+    /**
+     * Look a skin up.
+     * @param {string} kind 'circles' or 'tnt'
+     * @param {string} name
+     * @returns {Object|null} { label, paint } for circles, { label, draw } for TNT
+     */
+    function getSkin(kind, name) {
+        const skins = SKINS[kind];
+        return skins && Object.prototype.hasOwnProperty.call(skins, name) ? skins[name] : null;
+    }
+
+    /**
+     * Names of a kind's skins, classic first.
+     * @param {string} kind 'circles' or 'tnt'
+     * @returns {string[]}
+     */
+    function skinNames(kind) {
+        return Object.keys(SKINS[kind] || {});
+    }
+
+    return { getSkin, skinNames, SKIN_KINDS: Object.keys(SKINS) };
+});
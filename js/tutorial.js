@@ -0,0 +1,302 @@
+// Tutorial
+// A guided run through the game's mechanics, one scripted scenario per step: a single circle
+// to pop, an armored circle that takes two clicks, a drifter bouncing about, a splitter and its
+// halves, a fuse left to burn out and then one popped in time, and a power-up flying past to
+// bank and fire. Each step is a level of a small level pack whose waves set the scene; the
+// regular spawner is slowed to a standstill and the run is played by zen rules, so nothing
+// but the step's own circles turns up and nothing can end the run. A step moves on only once
+// the player has done what its prompt asks.
+//
+// Outside the tutorial, trackCallouts() points out each mechanic the first time it turns up
+// in a normal run, and remembers in the profile which ones the player has already seen.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./levels'), require('./circle-types'), require('./power-ups'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.tutorial = factory(root.CircleSurvival.levels, root.CircleSurvival.circleTypes,
+            root.CircleSurvival.powerUps);
+    }
+})(typeof self !== 'undefined' ? self : this, function (levels, circleTypes, powerUps) {
+    'use strict';
+
+    const STEP_DELAY = 1.5;          // seconds of game time between a step's end and the next one
+    const TUTORIAL_MODE = 'zen';     // circles that fill the board shrink back instead of ending the run
+
+    // Four plain circles around the middle, for the fuse steps to grow or shrink
+    const BYSTANDERS = [[0.25, 0.3], [0.75, 0.3], [0.25, 0.7], [0.75, 0.7]].map(([x, y]) => ({ at: 0, type: 'normal', x, y, radius: 35 }));
+
+    // Pickups fly as soon as the level starts, whatever is on the board
+    const PICKUPS_NOW = { threshold: 0, initialCooldown: 1, cooldown: 3 };
+
+    function powerUpLabel(kind) {
+        const powerUp = powerUps.getPowerUp(kind);
+        return powerUp ? powerUp.label : kind;
+    }
+
+    // Each step: its level (merged over the pack defaults below), what to tell the player, and
+    // watch(step), which listens for the step being done through step.on(type, handler) and
+    // reports with step.say(text), step.done(text) or step.retry(text)
+    const STEPS = [
+        {
+            name: 'pop',
+            level: { waves: [{ at: 0, type: 'normal', x: 0.5, y: 0.5, radius: 25 }] },
+            prompt: 'Circles keep growing, and the run ends when one fills the board. Click this one to pop it.',
+            watch(step) {
+                step.on('pop', ({ cause }) => { if (cause === 'click') step.done('Popped! Bigger circles are worth more points.'); });
+            }
+        },
+        {
+            name: 'armored',
+            teaches: 'circle:armored',
+            level: { armorClicks: 2, waves: [{ at: 0, type: 'armored', x: 0.5, y: 0.5, radius: 30 }] },
+            prompt: 'Armored circles take more than one click. Tap this one twice.',
+            watch(step) {
+                step.on('hit', () => step.say('It cracked and turned orange. Once more!'));
+                step.on('pop', ({ circle }) => { if (circle.type === 'armored') step.done('Armor broken.'); });
+            }
+        },
+        {
+            name: 'drifter',
+            teaches: 'circle:drifter',
+            level: { growth: 2, driftSpeed: 160, waves: [{ at: 0, type: 'drifter', x: 0.5, y: 0.5, radius: 30 }] },
+            prompt: 'Drifters wander across the board and bounce off its edges. Watch this one bounce, then catch it.',
+            watch(step) {
+                step.on('pop', ({ circle }) => { if (circle.type === 'drifter') step.done('Caught it.'); });
+            }
+        },
+        {
+            name: 'splitter',
+            teaches: 'circle:splitter',
+            level: { growth: 2, waves: [{ at: 0, type: 'splitter', x: 0.5, y: 0.5, radius: 45 }] },
+            prompt: 'Splitters burst into two smaller halves when clicked, and the halves grow faster. Pop it, then pop both halves.',
+            watch(step, sim) {
+                let split = false;
+                step.on('pop', ({ circle }) => {
+                    if (circle.type !== 'splitter') return;
+                    split = true;
+                    step.say('It split in two. Pop both halves before they grow.');
+                });
+                // the halves are on the board by the time the splitter itself is removed
+                step.on('remove', () => { if (split && sim.state.circles.length === 0) step.done('Board clear.'); });
+            }
+        },
+        {
+            name: 'fuseBurns',
+            teaches: 'circle:fuse',
+            level: { growth: 1, fuseTime: 4, waves: BYSTANDERS.concat({ at: 0.5, type: 'fuse', x: 0.5, y: 0.5, radius: 25 }) },
+            prompt: 'The red circle is a fuse, and it is burning down. Leave it alone this time and watch the other circles.',
+            watch(step) {
+                step.on('fuseExpire', () => step.done('It burnt out and every other circle grew. That can end a run.'));
+                step.on('pop', ({ circle }) => { if (circle.type === 'fuse') step.retry('Not yet: let this one burn out.'); });
+            }
+        },
+        {
+            name: 'fuseDefused',
+            teaches: 'circle:fuse',
+            level: { growth: 1, fuseTime: 5, waves: BYSTANDERS.concat({ at: 0.5, type: 'fuse', x: 0.5, y: 0.5, radius: 25 }) },
+            prompt: 'Now pop the fuse before it burns out.',
+            watch(step) {
+                step.on('pop', ({ circle, cause }) => {
+                    if (circle.type === 'fuse' && cause === 'click') step.done('Defused! Every other circle shrank, and you got a bonus.');
+                });
+                step.on('fuseExpire', () => step.retry('Too late, it burnt out. Here it comes again.'));
+            }
+        },
+        {
+            name: 'bank',
+            level: { growth: 1, bomb: PICKUPS_NOW, waves: BYSTANDERS },
+            prompt: 'Power-ups fly across the board once it gets crowded. Clicking one fires it on the spot; letting it fly past banks it for later. Bank the next one.',
+            watch(step) {
+                step.on('pickupSpawn', ({ pickup }) => step.say('Here comes ' + powerUpLabel(pickup.kind) + '. Let it fly past to bank it.'));
+                step.on('powerUpUse', ({ source }) => {
+                    if (source === 'pickup') step.say('That fired it on the spot, which helps in a pinch. Let the next one fly past.');
+                });
+                step.on('powerUpBank', ({ kind }) => step.done(powerUpLabel(kind) + ' is in your bank, top right.'));
+            }
+        },
+        {
+            name: 'fire',
+            level: { growth: 1, bomb: PICKUPS_NOW, waves: BYSTANDERS },
+            prompt(sim) {
+                const kind = sim.state.bank[0];
+                if (!kind) return 'Bank a power-up by letting it fly past, then fire it from its slot in the top right.';
+                const key = powerUps.getPowerUp(kind).key;
+                return 'Fire your ' + powerUpLabel(kind) + ': click its slot in the top right' + (key ? ' or press ' + key : '') + '.';
+            },
+            watch(step) {
+                step.on('powerUpUse', ({ source }) => { if (source === 'bank') step.done('That\u2019s everything. Good luck out there!'); });
+            }
+        }
+    ];
+
+    // The steps' levels as a pack: long levels, no regular spawns and no pickups unless a step asks
+    const TUTORIAL_PACK = levels.parsePack({
+        version: levels.PACK_VERSION,
+        name: 'Tutorial',
+        defaults: {
+            duration: 3600,
+            spawn: { start: 3600000, min: 3600000 },
+            growth: 3,
+            bomb: { threshold: 1000 }
+        },
+        levels: STEPS.map((step) => step.level),
+        boss: null
+    });
+
+    /**
+     * Create the tutorial. start() takes over the simulation: the caller starts the first
+     * level and calls update(dt) every frame, which moves on to the next step when one is done.
+     * @param {Object} sim Simulation created by CircleSurvival.sim.createSimulation
+     * @param {Object} elements
+     * @param {HTMLElement} elements.panel Box over the board shown while the tutorial runs
+     * @param {HTMLElement} elements.progress Where "Step 2 of 8" goes
+     * @param {HTMLElement} elements.text Where the step's prompt goes
+     * @param {HTMLElement} elements.exitBtn Leaves the tutorial
+     * @param {Object} [options]
+     * @param {Function} [options.onPrompt] Called with each new prompt (e.g. to announce it)
+     * @param {Function} [options.onStepDone] Called with the step just completed
+     * @param {Function} [options.onFinish] Called once the last step is done
+     * @param {Function} [options.onExit] Called when the exit button is pressed
+     * @returns {Object} Tutorial with start(), stop(), update(dt) and an `active` flag
+     */
+    function createTutorial(sim, elements, options) {
+        const opts = options || {};
+        const { panel, progress, text, exitBtn } = elements;
+        const tutorial = { active: false, start, stop, update };
+        let unsubscribe = [];        // the current step's listeners
+        let pending = null;          // { level, delay }: the step to (re)start once the delay runs out
+        let note = '';               // put in front of the next prompt, after a retry
+
+        function say(message) {
+            text.textContent = message;
+            if (opts.onPrompt) opts.onPrompt(message);
+        }
+
+        function release() {
+            for (const off of unsubscribe) off();
+            unsubscribe = [];
+        }
+
+        // Listen for the step belonging to the level that just started
+        function arm(level) {
+            release();
+            const step = STEPS[level - 1];
+            if (!step) return;
+            pending = null;
+            progress.textContent = 'Step ' + level + ' of ' + STEPS.length;
+            const prompt = typeof step.prompt === 'function' ? step.prompt(sim) : step.prompt;
+            say((note ? note + ' ' : '') + prompt);
+            note = '';
+            // moving the board on happens in update(), never inside a simulation event
+            step.watch({
+                on: (type, handler) => unsubscribe.push(sim.on(type, handler)),
+                say,
+                done(message) {
+                    release();
+                    if (message) say(message);
+                    if (opts.onStepDone) opts.onStepDone(step);
+                    pending = { level: level + 1, delay: STEP_DELAY };
+                },
+                retry(message) {
+                    release();
+                    say(message);
+                    note = message;
+                    pending = { level, delay: STEP_DELAY };
+                }
+            }, sim);
+        }
+
+        /**
+         * Switch the simulation to the tutorial and reset it to the first step. The caller
+         * puts the pack, mode and director back after stop().
+         */
+        function start() {
+            tutorial.active = true;
+            note = '';
+            sim.setPack(TUTORIAL_PACK);
+            sim.setMode(TUTORIAL_MODE);
+            sim.setDirector(false);
+            sim.reset(1);
+            panel.classList.remove('hidden');
+        }
+
+        function stop() {
+            tutorial.active = false;
+            release();
+            pending = null;
+            panel.classList.add('hidden');
+        }
+
+        /**
+         * Count down to the next step.
+         * @param {number} dt Seconds of game time since the last frame
+         */
+        function update(dt) {
+            if (!tutorial.active || !pending) return;
+            pending.delay -= dt;
+            if (pending.delay > 0) return;
+            const level = pending.level;
+            pending = null;
+            if (level > STEPS.length) {
+                if (opts.onFinish) opts.onFinish();
+                return;
+            }
+            sim.startLevel(level);
+        }
+
+        // every start of a tutorial level (a new step, a retry or the restart button) sets its step up
+        sim.on('levelStart', ({ level }) => { if (tutorial.active) arm(level); });
+        exitBtn.addEventListener('click', () => { if (opts.onExit) opts.onExit(); });
+
+        return tutorial;
+    }
+
+    // ── First-time callouts ──
+
+    // What a mechanic is called in a callout and how it works
+    function describe(name) {
+        const [kind, which] = name.split(':');
+        if (kind === 'circle') {
+            const type = circleTypes.getCircleType(which);
+            return { heading: 'New: ' + type.label + ' circle', text: type.description };
+        }
+        if (kind === 'powerUp') {
+            const powerUp = powerUps.getPowerUp(which);
+            return { heading: 'New: ' + powerUp.label, text: powerUp.description + ' Click it to fire it now, or let it fly past to bank it.' };
+        }
+        return { heading: 'Time warp', text: 'Circles spawn much faster for a few seconds. Hang on!' };
+    }
+
+    /**
+     * Point out each mechanic the first time it turns up: every circle type other than normal,
+     * every power-up and time warps. Seen mechanics are kept in the profile.
+     * @param {Object} sim Simulation to watch
+     * @param {Object} store Profile store (js/profile.js)
+     * @param {Object} options
+     * @param {Function} [options.isCounted] Returns false while nothing should be pointed out (tutorial, replays)
+     * @param {Function} options.onCallout Called with { name, heading, text, x, y }; x and y are
+     *   where on the board it appeared, or undefined for a warp
+     */
+    function trackCallouts(sim, store, options) {
+        const counted = () => !options.isCounted || options.isCounted();
+
+        function callout(name, x, y) {
+            if (!counted() || store.calloutSeen(name)) return;
+            store.markCallout(name);
+            store.save();
+            options.onCallout(Object.assign({ name, x, y }, describe(name)));
+        }
+
+        sim.on('spawn', ({ circle }) => {
+            // splitter halves are whatever type the splitter made them
+            if (circle.type !== 'normal' && !circle.isChild) callout('circle:' + circle.type, circle.x, circle.y);
+        });
+        // pickups start just off the board, so the callout points at the edge they come in from
+        sim.on('pickupSpawn', ({ pickup }) => callout('powerUp:' + pickup.kind, pickup.direction === 1 ? 0 : sim.state.width, pickup.y + pickup.size / 2));
+        sim.on('warpStart', () => callout('warp'));
+    }
+
+    return { createTutorial, trackCallouts, TUTORIAL_PACK, TUTORIAL_STEPS: STEPS };
+});
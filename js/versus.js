@@ -0,0 +1,260 @@
+// Local versus
+// Two players on one screen, each with a board of their own: player 1 plays the left board
+// with the mouse or touch, player 2 the right one with a keyboard or gamepad reticle or touch.
+// Each board is an ordinary simulation in the versus mode, started from the same seed and
+// drawn by its own canvas renderer. Popping circles drops garbage on the other board (an
+// armored circle for every few clicked pops, a fuse for every fuse defused), and the first
+// board where a circle fills the board, or where a boss outlasts its level, loses. Matches
+// are not recorded in the profile.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sim'), require('./rng'), require('./canvas-renderer'), require('./reticle'));
+    } else {
+        root.CircleSurvival = root.CircleSurvival || {};
+        root.CircleSurvival.versus = factory(root.CircleSurvival.sim, root.CircleSurvival.rng,
+            root.CircleSurvival.canvasRenderer, root.CircleSurvival.reticle);
+    }
+})(typeof self !== 'undefined' ? self : this, function (simulation, rng, canvasRenderer, reticles) {
+    'use strict';
+
+    const MODE = 'versus';
+    const PLAYERS = ['Player 1', 'Player 2'];
+    const GARBAGE_EVERY = 3;         // clicked pops per armored circle sent to the opponent
+    const MAX_FRAME_TIME = 0.25;     // seconds of game time one animation frame can cover
+    const FLASH_TIME = 300;          // ms a board is outlined after garbage lands on it
+
+    /**
+     * Create the versus screen.
+     * @param {Object} elements
+     * @param {HTMLElement} elements.area Container of both boards, shown while versus is open
+     * @param {Object[]} elements.boards Per player, left to right: { board, score, level, sent }
+     *   where board is the container its canvas goes in and the rest are HUD text elements
+     * @param {HTMLElement} elements.panel Intro, pause and result panel over the boards
+     * @param {HTMLElement} elements.title Panel heading
+     * @param {HTMLElement} elements.text Panel text
+     * @param {HTMLButtonElement} elements.startBtn Starts, resumes or replays the match
+     * @param {HTMLButtonElement} elements.exitBtn Leaves versus
+     * @param {Object} [options]
+     * @param {Function} [options.onEnd] Called with (winner, text): the winner's index and the result
+     * @param {Function} [options.onExit] Called when versus is closed
+     * @returns {Object} Versus screen with open(), close(), pause(), keyDown(key, repeat), keyUp(key),
+     *   releaseKeys(), an `active` flag and its two `renderers`
+     */
+    function createVersus(elements, options) {
+        const opts = options || {};
+        const { area, boards, panel, title, text, startBtn, exitBtn } = elements;
+        const intro = { title: title.textContent, text: text.textContent };
+        let phase = 'ready';         // 'ready' | 'playing' | 'paused' | 'over'
+        let frameId = null;
+        let lastFrameTime = 0;
+        let pops = [0, 0];           // clicked pops this match, per player
+        let sent = [0, 0];           // garbage circles sent, per player
+
+        const sims = PLAYERS.map(() => simulation.createSimulation({ mode: MODE }));
+        const playing = () => phase === 'playing';
+        // player 2's reticle; player 1 has the mouse
+        const reticle = reticles.createReticle(sims[1], {
+            isPlaying: playing,
+            onFire: (x, y, circle) => {
+                if (!playing()) return;
+                if (circle) sims[1].hitCircle(circle);
+                else sims[1].missClick(x, y);
+            },
+            onPause: () => {
+                if (playing()) pause();
+                else if (phase === 'paused') resume();
+            }
+        });
+        const renderers = sims.map((sim, i) => canvasRenderer.createCanvasRenderer(sim, boards[i].board, {
+            reticle: i === 1 ? reticle : undefined,
+            onCircleClick: (circle) => { if (playing()) sim.hitCircle(circle); },
+            onMiss: (x, y) => { if (playing()) sim.missClick(x, y); }
+        }));
+
+        const versus = { active: false, renderers, open, close, pause, keyDown, keyUp, releaseKeys };
+
+        // ── Garbage ──
+
+        function send(from, type) {
+            if (sims[1 - from].dropCircle(type)) sent[from]++;
+        }
+
+        sims.forEach((sim, i) => {
+            sim.on('pop', ({ circle, cause }) => {
+                if (!playing() || cause !== 'click') return;
+                pops[i]++;
+                if (circle.type === 'fuse') send(i, 'fuse');
+                if (pops[i] % GARBAGE_EVERY === 0) send(i, 'armored');
+            });
+            sim.on('drop', () => {
+                const board = boards[i].board;
+                board.classList.add('garbage-in');
+                setTimeout(() => board.classList.remove('garbage-in'), FLASH_TIME);
+            });
+            sim.on('gameOver', ({ reason }) => { if (playing()) finish(1 - i, reason); });
+        });
+
+        // ── Match ──
+
+        function showPanel(heading, body, action) {
+            title.textContent = heading;
+            text.textContent = body;
+            startBtn.textContent = action;
+            panel.classList.remove('hidden');
+            startBtn.focus();
+        }
+
+        function updateHud() {
+            sims.forEach((sim, i) => {
+                boards[i].score.textContent = sim.state.score.toString();
+                boards[i].level.textContent = sim.state.level.toString();
+                boards[i].sent.textContent = sent[i].toString();
+            });
+        }
+
+        // Both boards get the same size, so both players race for the same maximum radius
+        function syncBounds() {
+            const { clientWidth, clientHeight } = boards[0].board;
+            for (const sim of sims) sim.setBounds(clientWidth, clientHeight);
+        }
+
+        function start() {
+            const seed = rng.randomSeed();
+            pops = [0, 0];
+            sent = [0, 0];
+            syncBounds();
+            sims.forEach((sim, i) => {
+                renderers[i].clear();
+                sim.reset(1, seed);
+                sim.startLevel();
+            });
+            reticle.center();
+            reticle.visible = true;
+            updateHud();
+            resume();
+        }
+
+        function resume() {
+            phase = 'playing';
+            panel.classList.add('hidden');
+            area.focus();
+            lastFrameTime = performance.now();
+            frameId = requestAnimationFrame(frame);
+        }
+
+        /**
+         * Stop the clocks and show the panel with a Resume button. Does nothing unless a match is on.
+         */
+        function pause() {
+            if (!playing()) return;
+            phase = 'paused';
+            cancelAnimationFrame(frameId);
+            reticle.releaseKeys();
+            showPanel('Paused', 'Both boards are on hold.', 'Resume');
+        }
+
+        // The loser's board either filled up or ran out of time with its boss still standing
+        function finish(winner, reason) {
+            const loser = 1 - winner;
+            phase = 'over';
+            cancelAnimationFrame(frameId);
+            reticle.releaseKeys();
+            updateHud();
+            const scores = sims.map((sim) => sim.state.score);
+            const how = reason === 'boss' ? ' ran out of time against the boss on level ' : '\u2019s board filled up on level ';
+            const result = PLAYERS[loser] + how + sims[loser].state.level +
+                '. Scores: ' + scores.join(' \u2013 ') + '. Garbage sent: ' + sent.join(' \u2013 ') + '.';
+            showPanel(PLAYERS[winner] + ' wins!', result, 'Rematch');
+            if (opts.onEnd) opts.onEnd(winner, PLAYERS[winner] + ' wins! ' + result);
+        }
+
+        function frame(timestamp) {
+            if (!playing()) return;
+            const dt = Math.min(MAX_FRAME_TIME, (timestamp - lastFrameTime) / 1000);
+            lastFrameTime = timestamp;
+            reticle.update(dt);
+            for (const sim of sims) {
+                sim.step(dt);
+                // a board that filled up ends the match for both
+                if (!playing()) return;
+            }
+            renderers.forEach((renderer) => renderer.render(dt));
+            updateHud();
+            frameId = requestAnimationFrame(frame);
+        }
+
+        startBtn.addEventListener('click', () => {
+            if (phase === 'paused') resume();
+            else start();
+        });
+        exitBtn.addEventListener('click', () => close());
+        window.addEventListener('resize', () => { if (versus.active) syncBounds(); });
+
+        /**
+         * Note a key going down. Player 2 steers with the arrows or WASD, pops with Space and
+         * jumps to the biggest circle with E; Escape pauses.
+         * @param {string} key KeyboardEvent.key
+         * @param {boolean} [repeat] Whether the key is auto-repeating
+         * @returns {boolean} Whether versus used the key
+         */
+        function keyDown(key, repeat) {
+            if (!playing()) return false;
+            if (key === 'Escape') {
+                pause();
+                return true;
+            }
+            if (reticle.keyDown(key)) return true;
+            if (key === ' ') {
+                if (!repeat) reticle.fire();
+                return true;
+            }
+            if (key === 'e' || key === 'E') {
+                reticle.jumpToBiggest();
+                return true;
+            }
+            return false;
+        }
+
+        function keyUp(key) {
+            reticle.keyUp(key);
+        }
+
+        // Forget held keys, e.g. when the window loses focus
+        function releaseKeys() {
+            reticle.releaseKeys();
+        }
+
+        /**
+         * Show both boards and the intro panel.
+         */
+        function open() {
+            if (versus.active) return;
+            versus.active = true;
+            phase = 'ready';
+            area.classList.remove('hidden');
+            sims.forEach((sim, i) => {
+                sim.reset(1);
+                renderers[i].clear();
+            });
+            sent = [0, 0];
+            updateHud();
+            showPanel(intro.title, intro.text, 'Start');
+        }
+
+        function close() {
+            if (!versus.active) return;
+            versus.active = false;
+            phase = 'ready';
+            cancelAnimationFrame(frameId);
+            reticle.releaseKeys();
+            renderers.forEach((renderer) => renderer.clear());
+            area.classList.add('hidden');
+            if (opts.onExit) opts.onExit();
+        }
+
+        return versus;
+    }
+
+    return { createVersus, GARBAGE_EVERY };
+});
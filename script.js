@@ -1,24 +1,64 @@
 // Circle Survival Game
-// This script implements the circle survival game described by the user.
-// Survive each level for 30 seconds by clicking circles before they grow too large.
-// Circles grow over time and spawn at an accelerating rate. Level 2 introduces
-// armored circles requiring two clicks; Level 3 introduces drifting circles.
+// Survive each level by clicking circles before they grow too large.
+// The rules live in js/sim.js, the difficulty in the level pack (js/levels.js) and the drawing
+// in js/canvas-renderer.js; this script wires them to the page: buttons, overlays, the
+// animation loop, haptics, game modes, replays, level packs, the level editor, the player profile,
+// keyboard, gamepad and screen reader play, sound, the settings overlay, leaderboards and share codes,
+// achievements and skins, the tutorial with its first-time callouts, local versus and the ghost race.
 
 (() => {
+    const { createSimulation } = CircleSurvival.sim;
+    const { DEFAULT_PACK, parsePack } = CircleSurvival.levels;
+    const { getMode, modeNames } = CircleSurvival.modes;
+    const { createCanvasRenderer } = CircleSurvival.canvasRenderer;
+    const { createRecorder } = CircleSurvival.replay;
+    const { createReplayViewer } = CircleSurvival.replayViewer;
+    const { createLevelEditor } = CircleSurvival.levelEditor;
+    const { circleTypeNames, getCircleType, swatchColor } = CircleSurvival.circleTypes;
+    const { powerUpNames, getPowerUp } = CircleSurvival.powerUps;
+    const { createProfileStore, trackProfile } = CircleSurvival.profile;
+    const { createReticle } = CircleSurvival.reticle;
+    const { createAnnouncer } = CircleSurvival.announcer;
+    const { createAudioEngine } = CircleSurvival.audio;
+    const { CHOICES, PARTICLE_DENSITY, createSettingsStore } = CircleSurvival.settings;
+    const { encodeShareCode, decodeShareCode } = CircleSurvival.shareCode;
+    const { createDirectorGraph } = CircleSurvival.directorGraph;
+    const { achievementNames, getAchievement, unlockerOf, trackAchievements } = CircleSurvival.achievements;
+    const { getSkin, skinNames, SKIN_KINDS } = CircleSurvival.skins;
+    const { createTutorial, trackCallouts } = CircleSurvival.tutorial;
+    const { createVersus } = CircleSurvival.versus;
+    const { createGhostStore, createGhostRace } = CircleSurvival.ghost;
+
+    const MAX_FRAME_TIME = 0.25;   // seconds of game time one animation frame can cover
+
     const gameArea = document.getElementById('game-area');
     const startBtn = document.getElementById('start-btn');
     const resumeBtn = document.getElementById('resume-btn');
     const restartBtn = document.getElementById('restart-btn');
     const resetProgressBtn = document.getElementById('reset-progress-btn');
+    const tutorialBtn = document.getElementById('tutorial-btn');
+    const versusBtn = document.getElementById('versus-btn');
     const levelSpan = document.getElementById('level');
     const scoreSpan = document.getElementById('score');
+    const comboBadge = document.getElementById('combo');
     const bestSpan = document.getElementById('best');
+    const ghostBox = document.getElementById('ghost-box');
+    const ghostDelta = document.getElementById('ghost-delta');
+    const ghostCircles = document.getElementById('ghost-circles');
+    const ghostFill = document.getElementById('ghost-fill');
+    const ghostMarker = document.getElementById('ghost-marker');
     const timerBar = document.getElementById('timer-bar');
     const timeLabel = document.getElementById('time-label');
     const overlay = document.getElementById('level-overlay');
     const overlayTitle = document.getElementById('overlay-title');
     const overlayDesc = document.getElementById('overlay-desc');
+    const modeSelect = document.getElementById('mode-select');
+    const scoreBreakdown = document.getElementById('score-breakdown');
+    const ghostSplits = document.getElementById('ghost-splits');
     const startLevelIndexSpan = document.getElementById('start-level-index');
+    const muteBtn = document.getElementById('mute-btn');
+    const politeRegion = document.getElementById('announcer-polite');
+    const alertRegion = document.getElementById('announcer-alert');
 
     // Help elements
     const helpBtn = document.getElementById('help-btn');
@@ -27,71 +67,457 @@
     // Debug elements inside help overlay
     const debugBtn = document.getElementById('debug-btn');
     const debugOptions = document.getElementById('debug-options');
-    // Track whether the game should resume automatically after closing help
-    let resumeAfterHelp = false;
+    const loadPackBtn = document.getElementById('load-pack-btn');
+    const loadPackInput = document.getElementById('load-pack-input');
+    const levelEditorBtn = document.getElementById('level-editor-btn');
+    const gameSpeedSelect = document.getElementById('game-speed-select');
+    // Settings overlay
+    const settingsBtn = document.getElementById('settings-btn');
+    const settingsOverlay = document.getElementById('settings-overlay');
+    const closeSettingsBtn = document.getElementById('close-settings-btn');
+    const settingsChoices = document.getElementById('settings-choices');
+    const hapticsToggle = document.getElementById('haptics-toggle');
+    const directorToggle = document.getElementById('director-toggle');
+    const ghostToggle = document.getElementById('ghost-toggle');
+    const volumeInputs = {
+        master: document.getElementById('volume-master'),
+        sfx: document.getElementById('volume-sfx'),
+        music: document.getElementById('volume-music')
+    };
+    // Replay elements
+    const replayActions = document.getElementById('replay-actions');
+    const watchReplayBtn = document.getElementById('watch-replay-btn');
+    const saveReplayBtn = document.getElementById('save-replay-btn');
+    const loadReplayBtn = document.getElementById('load-replay-btn');
+    const loadReplayInput = document.getElementById('load-replay-input');
+    // Profile elements inside help overlay
+    const profileStats = document.getElementById('profile-stats');
+    const modeRecords = document.getElementById('mode-records');
+    const runHistory = document.getElementById('run-history');
+    const exportProfileBtn = document.getElementById('export-profile-btn');
+    const importProfileBtn = document.getElementById('import-profile-btn');
+    const importProfileInput = document.getElementById('import-profile-input');
+    // Leaderboards: the run's place on the game over overlay, the boards and share codes in help
+    const runResult = document.getElementById('run-result');
+    const leaderboardPlace = document.getElementById('leaderboard-place');
+    const initialsRow = document.getElementById('initials-row');
+    const initialsInput = document.getElementById('initials-input');
+    const shareCodeBtn = document.getElementById('share-code-btn');
+    const shareCodeOutput = document.getElementById('share-code-output');
+    const leaderboardMode = document.getElementById('leaderboard-mode');
+    const leaderboardTable = document.getElementById('leaderboard');
+    const leaderboardEmpty = document.getElementById('leaderboard-empty');
+    const shareCodeInput = document.getElementById('share-code-input');
+    const checkCodeBtn = document.getElementById('check-code-btn');
+    const shareCodeResult = document.getElementById('share-code-result');
+    const playCodeBtn = document.getElementById('play-code-btn');
+    // Achievements: toasts over the board, the list and the skin pickers in help
+    const toastStack = document.getElementById('toast-stack');
+    const achievementCount = document.getElementById('achievement-count');
+    const achievementList = document.getElementById('achievement-list');
+    const skinSelects = {
+        circles: document.getElementById('circle-skin-select'),
+        tnt: document.getElementById('tnt-skin-select')
+    };
+    // Track whether the game should resume automatically after closing help or settings
+    let resumeAfterDialog = false;
+    let focusBeforeDialog = null;    // element to give focus back to when the dialog closes
 
-    let circles = [];
-    let spawnTimeoutId = null;
     let animationFrameId = null;
     let gameRunning = false;
     let paused = false;
-    let currentLevel = 1;
-    let timeLeft = 30;
-    // base spawn interval (affected by level and spawn acceleration)
-    let baseSpawnInterval = 2000; // milliseconds until next spawn before modifiers
-    // current spawn interval taking into account modifiers like time warp
-    let spawnInterval = baseSpawnInterval;
-    let spawnAcceleration = 0.9; // factor applied to base spawn interval after each spawn
     let lastUpdateTime = 0;
-    let score = 0;
-    // Time warp configuration for higher levels (start at level 6)
-    const timeWarpConfig = {
-        interval: 8,     // seconds until next warp
-        duration: 3,     // duration of warp
-        factor: 0.5      // multiplier on spawn interval during warp
+    let lastReplay = null;    // recording of the run that just ended
+    let levelBeforeReplay = 1;
+    let activePack = DEFAULT_PACK; // level pack used for normal play
+    let previewing = false;        // the running level is a level editor preview
+    let levelBeforeEditor = 1;
+    let levelBeforeTutorial = 1;
+    let timeScale = 1;             // game seconds per real second, from the debug panel
+    let bossReward;                // what the level's boss dropped, once one is beaten
+    let sharedRun = null;          // decoded share code waiting to be played
+    let challenge = null;          // shared result the current run is trying to beat
+
+    const profile = createProfileStore(localStorageIfAllowed());
+    const settings = createSettingsStore(localStorageIfAllowed());
+    const sim = createSimulation({ mode: profile.data.mode, director: settings.data.director });
+    const reticle = createReticle(sim, {
+        isPlaying: () => gameRunning && !paused,
+        onFire: (x, y, circle) => {
+            if (!gameRunning || paused) return;
+            if (sim.pickupContains(x, y)) sim.clickPickup();
+            else if (circle) sim.hitCircle(circle);
+            else sim.missClick(x, y);
+        },
+        onPowerUp: (slot) => { if (gameRunning && !paused && sim.state.bank[slot]) sim.usePowerUp(slot); },
+        onPause: () => resumeBtn.click(),
+        // menus: A presses whatever button has focus
+        onConfirm: () => {
+            if (document.activeElement && document.activeElement.tagName === 'BUTTON') document.activeElement.click();
+        }
+    });
+    const renderer = createCanvasRenderer(sim, gameArea, {
+        reticle,
+        bank: document.getElementById('power-up-bank'),
+        bankSize: CircleSurvival.sim.MAX_BANK_SLOTS,
+        onCircleClick: (circle) => { if (gameRunning && !paused) sim.hitCircle(circle); },
+        onPickupClick: () => { if (gameRunning && !paused) sim.clickPickup(); },
+        onBankClick: (slot) => { if (gameRunning && !paused) sim.usePowerUp(slot); },
+        onMiss: (x, y) => { if (gameRunning && !paused) sim.missClick(x, y); }
+    });
+    const recorder = createRecorder(sim);
+    const directorGraph = createDirectorGraph(sim, {
+        canvas: document.getElementById('director-graph'),
+        readout: document.getElementById('director-readout')
+    });
+    const announcer = createAnnouncer(sim, { polite: politeRegion, assertive: alertRegion }, {
+        isActive: () => !viewer.active
+    });
+    // replays play silently
+    const audio = createAudioEngine(sim, { storage: localStorageIfAllowed(), isActive: () => !viewer.active });
+    // replays, editor previews and the tutorial don't count towards the profile
+    const counted = () => !viewer.active && !previewing && !tutorial.active;
+    const tracker = trackProfile(sim, profile, counted);
+    trackAchievements(sim, profile, {
+        isCounted: counted,
+        onUnlock: (achievement) => achievementUnlocked(achievement)
+    });
+    trackCallouts(sim, profile, {
+        isCounted: counted,
+        onCallout: (callout) => showCallout(callout)
+    });
+    const tutorial = createTutorial(sim, {
+        panel: document.getElementById('tutorial-panel'),
+        progress: document.getElementById('tutorial-progress'),
+        text: document.getElementById('tutorial-text'),
+        exitBtn: document.getElementById('tutorial-exit-btn')
+    }, {
+        onPrompt: (text) => announcer.say(text),
+        // a mechanic the tutorial has shown needs no callout later
+        onStepDone: (step) => {
+            if (!step.teaches) return;
+            profile.markCallout(step.teaches);
+            profile.save();
+        },
+        onFinish: () => exitTutorial(true),
+        onExit: () => exitTutorial(false)
+    });
+    const viewer = createReplayViewer(sim, renderer, {
+        bar: document.getElementById('replay-bar'),
+        playBtn: document.getElementById('replay-play-btn'),
+        scrub: document.getElementById('replay-scrub'),
+        timeLabel: document.getElementById('replay-time'),
+        speedSelect: document.getElementById('replay-speed'),
+        exitBtn: document.getElementById('replay-exit-btn')
+    }, {
+        onFrame: () => updateUI(),
+        onExit: () => exitReplay()
+    });
+    const editor = createLevelEditor({
+        panel: document.getElementById('level-editor'),
+        closeBtn: document.getElementById('editor-close-btn'),
+        packName: document.getElementById('editor-pack-name'),
+        levelSelect: document.getElementById('editor-level'),
+        addLevelBtn: document.getElementById('editor-add-level-btn'),
+        removeLevelBtn: document.getElementById('editor-remove-level-btn'),
+        fields: document.getElementById('editor-fields'),
+        weights: document.getElementById('editor-weights'),
+        warpToggle: document.getElementById('editor-warp-toggle'),
+        warpFields: document.getElementById('editor-warp-fields'),
+        physicsToggle: document.getElementById('editor-physics-toggle'),
+        physicsFields: document.getElementById('editor-physics-fields'),
+        palette: document.getElementById('editor-palette'),
+        timeline: document.getElementById('editor-timeline'),
+        timelineEnd: document.getElementById('editor-timeline-end'),
+        waveFields: document.getElementById('editor-wave-fields'),
+        status: document.getElementById('editor-status'),
+        previewBtn: document.getElementById('editor-preview-btn'),
+        playBtn: document.getElementById('editor-play-btn'),
+        exportBtn: document.getElementById('editor-export-btn'),
+        importBtn: document.getElementById('editor-import-btn'),
+        importInput: document.getElementById('editor-import-input')
+    }, {
+        // edits reach a running preview straight away
+        onChange: (pack) => { if (previewing) sim.setPack(pack); },
+        onPreview: (pack, level) => startPreview(pack, level),
+        onStopPreview: () => stopPreview(),
+        onPlay: (pack) => {
+            editor.close();
+            usePack(pack);
+        },
+        onClose: () => closeEditor()
+    });
+    const versusBoard = (n) => ({
+        board: document.getElementById('versus-board-' + n),
+        level: document.getElementById('versus-level-' + n),
+        score: document.getElementById('versus-score-' + n),
+        sent: document.getElementById('versus-sent-' + n)
+    });
+    const versus = createVersus({
+        area: document.getElementById('versus-area'),
+        boards: [versusBoard(1), versusBoard(2)],
+        panel: document.getElementById('versus-panel'),
+        title: document.getElementById('versus-title'),
+        text: document.getElementById('versus-text'),
+        startBtn: document.getElementById('versus-start-btn'),
+        exitBtn: document.getElementById('versus-exit-btn')
+    }, {
+        onEnd: (winner, text) => announcer.say(text),
+        onExit: () => exitVersus()
+    });
+    // every renderer on the page, for settings and skins
+    const renderers = [renderer].concat(versus.renderers);
+    const ghosts = createGhostStore(localStorageIfAllowed());
+    const race = createGhostRace(sim, ghosts, {
+        isCounted: counted,
+        isEnabled: () => settings.data.ghost
+    });
+
+    // ── Haptic feedback ──
+    // Wraps navigator.vibrate (Android) — silent no-op on iOS/unsupported browsers
+    function haptic(pattern) {
+        if (settings.data.haptics && navigator.vibrate) navigator.vibrate(pattern);
+    }
+    const HAPTIC = {
+        tap:   10,          // light tap — partial hit on armored circle
+        pop:   25,          // satisfying pop — single circle destroyed
+        bomb:  [30, 20, 50] // heavy thump — bomb detonation
     };
-    // Track time warp state
-    let warpActive = false;
-    let nextWarpAt = timeWarpConfig.interval; // next warp trigger time (seconds since level start)
-    let warpEndAt = 0; // time when warp ends (seconds since level start)
+    sim.on('hit', () => { if (gameRunning) haptic(HAPTIC.tap); });
+    sim.on('pop', ({ cause }) => { if (gameRunning && cause === 'click') haptic(HAPTIC.pop); });
+    sim.on('bombDetonate', () => { if (gameRunning) haptic(HAPTIC.bomb); });
 
-    const BASE_SPAWN_INTERVAL = 2000;
-    const MIN_SPAWN_INTERVAL = 300;
+    sim.on('score', () => updateUI());
+    sim.on('warpStart', () => timerBar.classList.add('warp-active'));
+    sim.on('warpEnd', () => timerBar.classList.remove('warp-active'));
+    sim.on('levelStart', () => { bossReward = undefined; });
+    sim.on('bossDefeat', ({ reward }) => { bossReward = reward; });
+    sim.on('levelComplete', ({ level, levelScore }) => {
+        if (viewer.active) return;
+        if (previewing) previewEnded('Level ' + level + ' survived with ' + levelScore + ' points.');
+        // a tutorial step only ends when the player has done it, so one that times out goes again
+        else if (tutorial.active) sim.startLevel(level);
+        else levelComplete(level, levelScore);
+    });
+    sim.on('gameOver', ({ levelScore, reason }) => {
+        if (viewer.active) return;
+        if (previewing) previewEnded('Game over after ' + sim.state.elapsed.toFixed(1) + 's with ' + levelScore + ' points.');
+        else gameOver(reason);
+    });
+    // every run starts with a reset, including replays of runs in other modes
+    sim.on('reset', () => {
+        applyModeUI();
+        challenge = null;
+    });
+
+    // ── Keyboard play ──
+    // Arrows or WASD move the reticle, Space pops under it, E jumps to the biggest circle and
+    // power-up hotkeys fire the first banked power-up of their kind. Escape closes help.
+    document.addEventListener('keydown', (e) => {
+        const dialog = [helpOverlay, settingsOverlay].find((el) => el && !el.classList.contains('hidden'));
+        if (e.key === 'Escape' && dialog) {
+            if (dialog === helpOverlay) closeHelp();
+            else closeSettings();
+            return;
+        }
+        if (e.key === 'Tab' && dialog) {
+            trapFocus(e, dialog);
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+        if (e.key === 'm' || e.key === 'M') {
+            toggleMute();
+            return;
+        }
+        if (versus.active) {
+            // Space on a focused button presses the button, as everywhere else
+            if (e.key === ' ' && e.target.closest && e.target.closest('button')) return;
+            if (versus.keyDown(e.key, e.repeat)) e.preventDefault();
+            return;
+        }
+        if (!gameRunning || paused) return;
+        if (reticle.keyDown(e.key)) {
+            e.preventDefault();
+            return;
+        }
+        // Space on a focused button presses the button, as everywhere else
+        if (e.key === ' ' && !(e.target.closest && e.target.closest('button'))) {
+            e.preventDefault();
+            if (!e.repeat) reticle.fire();
+            return;
+        }
+        if (e.key === 'e' || e.key === 'E') {
+            reticle.jumpToBiggest();
+            return;
+        }
+        const name = powerUpNames().find((n) => getPowerUp(n).key === e.key);
+        if (!name) return;
+        const slot = sim.state.bank.indexOf(name);
+        if (slot >= 0) sim.usePowerUp(slot);
+    });
+    document.addEventListener('keyup', (e) => {
+        reticle.keyUp(e.key);
+        versus.keyUp(e.key);
+    });
+    window.addEventListener('blur', () => {
+        reticle.releaseKeys();
+        versus.releaseKeys();
+    });
+    // the mouse took over from the keyboard
+    gameArea.addEventListener('mousemove', () => reticle.hide());
+
+    // Keep Tab cycling through a dialog's controls while it is open
+    function trapFocus(e, dialog) {
+        const focusable = Array.from(dialog.querySelectorAll('button, input, select, textarea, summary, [tabindex]:not([tabindex="-1"])'))
+            .filter((el) => !el.disabled && el.offsetParent !== null);
+        if (!focusable.length) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        } else if (!dialog.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // ── Sound ──
+    // Audio can only start from a user gesture, so the first click or key press unlocks it
+    document.addEventListener('pointerdown', () => audio.unlock());
+    document.addEventListener('keydown', () => audio.unlock());
+    muteBtn.addEventListener('click', () => toggleMute());
+    for (const channel in volumeInputs) {
+        volumeInputs[channel].value = audio.settings[channel];
+        volumeInputs[channel].addEventListener('input', () => audio.setVolume(channel, Number(volumeInputs[channel].value)));
+    }
+
+    function toggleMute() {
+        audio.toggleMute();
+        showMuted();
+    }
+
+    function showMuted() {
+        const muted = audio.settings.muted;
+        muteBtn.setAttribute('aria-pressed', String(muted));
+        muteBtn.title = muted ? 'Unmute (M)' : 'Mute (M)';
+        document.getElementById('sound-icon-on').style.display = muted ? 'none' : '';
+        document.getElementById('sound-icon-off').style.display = muted ? '' : 'none';
+    }
+    showMuted();
+
+    // ── Settings ──
+    // One select per choice; every change is saved and applied straight away
+    function buildSettings() {
+        for (const key in CHOICES) {
+            const choice = CHOICES[key];
+            const label = document.createElement('label');
+            label.htmlFor = 'setting-' + key;
+            label.textContent = choice.label;
+            const select = document.createElement('select');
+            select.id = 'setting-' + key;
+            for (const value in choice.options) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = choice.options[value];
+                select.appendChild(option);
+            }
+            select.value = settings.data[key];
+            select.addEventListener('change', () => settings.set(key, select.value));
+            settingsChoices.append(label, select);
+        }
+        hapticsToggle.checked = settings.data.haptics;
+        hapticsToggle.addEventListener('change', () => settings.set('haptics', hapticsToggle.checked));
+        directorToggle.checked = settings.data.director;
+        directorToggle.addEventListener('change', () => settings.set('director', directorToggle.checked));
+        ghostToggle.checked = settings.data.ghost;
+        ghostToggle.addEventListener('change', () => settings.set('ghost', ghostToggle.checked));
+    }
+
+    // Themes, palettes and board sizes are body classes (CSS in index.html); the renderer
+    // re-reads the colours and gets the particle density and the shape markers
+    function applySettings() {
+        const { theme, palette, particles, board } = settings.data;
+        const classes = Array.from(document.body.classList).filter((name) => !/^(theme|palette|board)-/.test(name));
+        document.body.className = classes.concat('theme-' + theme, 'palette-' + palette, 'board-' + board).join(' ');
+        for (const r of renderers) {
+            r.refreshPalette();
+            r.setParticleDensity(PARTICLE_DENSITY[particles]);
+            r.setMarkers(palette !== 'standard');
+        }
+        syncBounds();
+        renderer.clear();
+    }
+    settings.onChange((key, value) => {
+        // the director joins or leaves at the next reset, so a run is never half tuned
+        if (key === 'director') {
+            directorToggle.checked = value;
+            sim.setDirector(value);
+            // a run that hasn't started yet can still pick the change up
+            if (sim.state.status === 'idle' && !challenge) sim.reset(sim.state.level);
+        } else if (key === 'ghost') {
+            // likewise a run is raced and recorded from its start or not at all
+            ghostToggle.checked = value;
+            if (sim.state.status === 'idle' && !challenge) sim.reset(sim.state.level);
+            updateUI();
+        } else if (key !== 'haptics') {
+            applySettings();
+        }
+    });
+
+    if (settingsBtn) settingsBtn.addEventListener('click', () => openSettings());
+    if (closeSettingsBtn) closeSettingsBtn.addEventListener('click', () => closeSettings());
+
+    // ── Reduced motion ──
+    // Players who ask their system for less motion get no particles or shockwaves
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    if (reducedMotionQuery) {
+        const applyReducedMotion = () => {
+            for (const r of renderers) r.setReducedMotion(reducedMotionQuery.matches);
+        };
+        applyReducedMotion();
+        reducedMotionQuery.addEventListener('change', applyReducedMotion);
+    }
+
+    function syncBounds() {
+        // a replay plays at the size it was recorded at
+        if (viewer.active) return;
+        sim.setBounds(gameArea.clientWidth, gameArea.clientHeight);
+    }
+    window.addEventListener('resize', syncBounds);
 
     // Start or continue the game when start button is clicked
     startBtn.addEventListener('click', () => {
-        // hide overlay and start current level
         overlay.classList.add('hidden');
+        replayActions.classList.add('hidden');
+        runResult.classList.add('hidden');
+        // after a game over, retrying starts a fresh run (and a fresh replay); only classic
+        // lets the run pick up from the level it ended on
+        if (sim.state.status === 'gameOver') sim.reset(sim.getMode().continues ? sim.state.level : 1);
         startLevel();
     });
 
     // Open help overlay when the help button is clicked
-    if (helpBtn) {
-        helpBtn.addEventListener('click', () => {
-            openHelp();
-        });
-    }
+    if (helpBtn) helpBtn.addEventListener('click', () => openHelp());
 
     // Close help overlay when X button clicked
-    if (closeHelpBtn) {
-        closeHelpBtn.addEventListener('click', () => {
-            closeHelp();
-        });
-    }
+    if (closeHelpBtn) closeHelpBtn.addEventListener('click', () => closeHelp());
 
     // Pause/resume toggle for resumeBtn
     resumeBtn.addEventListener('click', () => {
-        if (!gameRunning) return;
-        paused = !paused;
-        resumeBtn.textContent = paused ? 'Resume' : 'Pause';
-        if (paused) {
-            clearTimeout(spawnTimeoutId);
-            cancelAnimationFrame(animationFrameId);
-        } else {
-            lastUpdateTime = performance.now();
-            spawnNext();
-            animationFrameId = requestAnimationFrame(update);
-        }
+        if (paused) resumeGame();
+        else pauseGame();
+    });
+
+    // A hidden tab gets no frames, so pause rather than leave the run hanging mid-level
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) return;
+        pauseGame();
+        versus.pause();
     });
 
     // Restart the current level
@@ -100,468 +526,1068 @@
         restartLevel();
     });
 
-    // Reset progress: clear best level and reset game state
+    // Reset progress: wipe the saved profile and reset game state
     if (resetProgressBtn) {
         resetProgressBtn.addEventListener('click', () => {
-            localStorage.removeItem('bestLevel');
-            bestSpan.textContent = '0';
-            // reset game state completely
-            gameRunning = false;
-            paused = false;
-            clearTimeout(spawnTimeoutId);
-            cancelAnimationFrame(animationFrameId);
-            resetGame();
-            currentLevel = 1;
-            score = 0;
-            // update overlay for starting level
-            startLevelIndexSpan.textContent = currentLevel.toString();
-            overlayTitle.textContent = 'Ready?';
-            overlayDesc.textContent = 'Click circles before they grow too large. Survive\u00a030\u00a0seconds.';
-            overlay.classList.remove('hidden');
+            if (!confirm('Reset all progress? Your best level, stats, run history and ghosts will be deleted.')) return;
+            profile.reset();
+            ghosts.clear();
+            stopLoop();
+            sim.setMode(profile.data.mode);
+            sim.reset(1);
+            applySkins();
+            renderer.clear();
+            updateUI();
+            showReadyOverlay();
         });
     }
 
-    // Debug functionality: create level buttons and toggle panel
-    if (debugBtn && debugOptions) {
-        // generate buttons for levels 1 through 6
-        for (let i = 1; i <= 6; i++) {
+    // Replays: save or watch the run that just ended, or load one from a file
+    watchReplayBtn.addEventListener('click', () => { if (lastReplay) openReplay(lastReplay); });
+    saveReplayBtn.addEventListener('click', () => {
+        if (!lastReplay) return;
+        const blob = new Blob([JSON.stringify(lastReplay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'circle-survival-replay-' + lastReplay.seed + '.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+    loadReplayBtn.addEventListener('click', () => loadReplayInput.click());
+    loadReplayInput.addEventListener('change', () => {
+        const file = loadReplayInput.files[0];
+        loadReplayInput.value = '';
+        if (!file) return;
+        file.text().then((text) => {
+            helpOverlay.classList.add('hidden');
+            resumeAfterDialog = false;
+            openReplay(JSON.parse(text));
+        }).catch((err) => alert('Could not load replay: ' + err.message));
+    });
+
+    // Debug functionality: level jump buttons (one per level in the pack) and pack loading
+    function buildLevelButtons() {
+        debugOptions.querySelectorAll('.level-jump').forEach((btn) => btn.remove());
+        for (let i = 1; i <= activePack.levels.length; i++) {
             const btn = document.createElement('button');
+            btn.className = 'level-jump';
             btn.textContent = 'L' + i;
             btn.dataset.level = i.toString();
             btn.addEventListener('click', () => {
                 // jump directly to selected level
-                currentLevel = parseInt(btn.dataset.level, 10);
-                // hide debug options and help overlay
+                editor.close();
+                leaveTutorial();
                 debugOptions.classList.add('hidden');
                 helpOverlay.classList.add('hidden');
-                // stop current game if running
-                gameRunning = false;
-                paused = false;
-                clearTimeout(spawnTimeoutId);
-                cancelAnimationFrame(animationFrameId);
-                // reset state for selected level
-                resetGame();
-                // start the selected level immediately
+                overlay.classList.add('hidden');
+                stopLoop();
+                sim.reset(parseInt(btn.dataset.level, 10));
                 startLevel();
             });
-            debugOptions.appendChild(btn);
+            debugOptions.insertBefore(btn, loadPackBtn);
         }
-        debugBtn.addEventListener('click', () => {
-            debugOptions.classList.toggle('hidden');
+    }
+    if (debugBtn && debugOptions) {
+        buildLevelButtons();
+        debugBtn.addEventListener('click', () => debugOptions.classList.toggle('hidden'));
+        levelEditorBtn.addEventListener('click', () => openEditor());
+        gameSpeedSelect.addEventListener('change', () => { timeScale = Number(gameSpeedSelect.value); });
+        loadPackBtn.addEventListener('click', () => loadPackInput.click());
+        loadPackInput.addEventListener('change', () => {
+            const file = loadPackInput.files[0];
+            loadPackInput.value = '';
+            if (!file) return;
+            file.text().then((text) => {
+                usePack(parsePack(text));
+                helpOverlay.classList.add('hidden');
+                resumeAfterDialog = false;
+            }).catch((err) => alert('Could not load level pack: ' + err.message));
         });
     }
 
     /**
-     * Show the help overlay and pause the game if necessary.
+     * Switch normal play to another level pack and go back to its first level.
+     * @param {Object} pack Validated level pack
      */
-    function openHelp() {
-        if (!helpOverlay) return;
-        helpOverlay.classList.remove('hidden');
-        // If the game is running and not currently paused, pause it and remember to resume after help
-        if (gameRunning && !paused) {
-            resumeAfterHelp = true;
-            paused = true;
-            resumeBtn.textContent = 'Resume';
-            clearTimeout(spawnTimeoutId);
-            cancelAnimationFrame(animationFrameId);
-        } else {
-            resumeAfterHelp = false;
-        }
+    function usePack(pack) {
+        editor.close();
+        leaveTutorial();
+        activePack = pack;
+        stopLoop();
+        sim.setPack(pack);
+        sim.reset(1);
+        renderer.clear();
+        buildLevelButtons();
+        updateUI();
+        showReadyOverlay();
+    }
+
+    // A pack can be picked with ?pack=levels/some-pack.json (needs the page to be served over http)
+    function loadPackFromUrl() {
+        const url = new URLSearchParams(location.search).get('pack');
+        if (!url) return;
+        fetch(url)
+            .then((res) => {
+                if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
+                return res.text();
+            })
+            .then((text) => usePack(parsePack(text)))
+            .catch((err) => {
+                overlayTitle.textContent = 'Level pack error';
+                overlayDesc.textContent = 'Could not load ' + url + ': ' + err.message + '. Using the default levels.';
+            });
+    }
+
+    // ── Level editor ──
+    // The editor panel sits beside the game area; previews play the edited level in it.
+    function openEditor() {
+        leaveTutorial();
+        helpOverlay.classList.add('hidden');
+        resumeAfterDialog = false;
+        overlay.classList.add('hidden');
+        levelBeforeEditor = sim.state.level;
+        stopLoop();
+        sim.reset(levelBeforeEditor);
+        renderer.clear();
+        resumeBtn.disabled = true;
+        restartBtn.disabled = true;
+        document.body.classList.add('editing');
+        editor.open(activePack);
+        syncBounds();
+        updateUI();
+    }
+
+    function closeEditor() {
+        if (previewing) stopPreview();
+        document.body.classList.remove('editing');
+        syncBounds();
+        renderer.clear();
+        sim.setPack(activePack);
+        sim.setMode(profile.data.mode);
+        sim.setDirector(settings.data.director);
+        sim.reset(levelBeforeEditor);
+        updateUI();
+        showReadyOverlay();
+    }
+
+    // previews always play by the classic rules and untuned, so they show the level as the pack
+    // defines it
+    function startPreview(pack, level) {
+        previewing = true;
+        stopLoop();
+        sim.setMode('classic');
+        sim.setDirector(false);
+        sim.setPack(pack);
+        sim.reset(level);
+        startLevel();
+    }
+
+    function stopPreview() {
+        previewing = false;
+        stopLoop();
+        renderer.clear();
+        resumeBtn.textContent = 'Pause';
+        resumeBtn.disabled = true;
+        restartBtn.disabled = true;
+        updateUI();
+    }
+
+    // The preview level was survived or lost: report it in the panel instead of an overlay
+    function previewEnded(message) {
+        stopPreview();
+        editor.previewEnded(message);
+    }
+
+    // ── Tutorial ──
+    // The tutorial plays its own pack by its own rules (see js/tutorial.js); leaving it puts the
+    // player's pack, mode and director setting back. Starting it abandons the run on the overlay.
+    const CALLOUT_TIME = 5000;     // ms a first-time callout stays up
+    const CALLOUT_MARGIN = 90;     // px from the top of the board below which a callout points up
+    const CALLOUT_HALF_WIDTH = 120;   // px kept between a callout's anchor and the board's sides
+
+    function startTutorial() {
+        levelBeforeTutorial = sim.getMode().continues ? sim.state.level : 1;
+        stopLoop();
+        overlay.classList.add('hidden');
+        replayActions.classList.add('hidden');
+        runResult.classList.add('hidden');
+        document.body.classList.add('tutorial');
+        syncBounds();
+        tutorial.start();
+        startLevel();
+    }
+
+    // Hand the simulation back to normal play, if the tutorial had it
+    function leaveTutorial() {
+        if (!tutorial.active) return;
+        tutorial.stop();
+        document.body.classList.remove('tutorial');
+        sim.setPack(activePack);
+        sim.setMode(profile.data.mode);
+        sim.setDirector(settings.data.director);
     }
 
     /**
-     * Hide the help overlay and resume the game if it was paused by help.
+     * Leave the tutorial for the level overlay.
+     * @param {boolean} finished Whether the last step was done, rather than the tutorial exited
      */
-    function closeHelp() {
-        if (!helpOverlay) return;
-        helpOverlay.classList.add('hidden');
-        if (resumeAfterHelp && gameRunning && paused) {
-            paused = false;
-            resumeBtn.textContent = 'Pause';
-            lastUpdateTime = performance.now();
-            spawnNext();
-            animationFrameId = requestAnimationFrame(update);
-        }
-        resumeAfterHelp = false;
-    }
-
-    // Reset all game variables and clear circles
-    function resetGame() {
-        // remove existing circles
-        circles.forEach(c => c.element.remove());
-        circles = [];
-        timeLeft = 30;
-        // set spawn intervals based on current level (accelerates each level)
-        baseSpawnInterval = BASE_SPAWN_INTERVAL * Math.pow(0.9, currentLevel - 1);
-        spawnInterval = baseSpawnInterval;
-        spawnAcceleration = 0.9;
+    function exitTutorial(finished) {
+        leaveTutorial();
+        stopLoop();
+        renderer.clear();
+        sim.reset(levelBeforeTutorial);
         updateUI();
-        // reset time warp state
-        warpActive = false;
-        nextWarpAt = timeWarpConfig.interval;
-        warpEndAt = 0;
-    }
-
-    // Spawn the next circle after current spawnInterval
-    function spawnNext() {
-        spawnTimeoutId = setTimeout(() => {
-            spawnCircle();
-            // accelerate base spawn interval for faster spawning
-            baseSpawnInterval *= spawnAcceleration;
-            baseSpawnInterval = Math.max(baseSpawnInterval, MIN_SPAWN_INTERVAL);
-            // apply time warp if active
-            spawnInterval = warpActive ? baseSpawnInterval * timeWarpConfig.factor : baseSpawnInterval;
-            spawnNext();
-        }, spawnInterval);
-    }
-
-    // Create a new circle and add it to the game area
-    function spawnCircle() {
-        const rect = gameArea.getBoundingClientRect();
-        // initial radius
-        const initialRadius = 15;
-        // random position within game area boundaries
-        const x = Math.random() * (rect.width - initialRadius * 2) + initialRadius;
-        const y = Math.random() * (rect.height - initialRadius * 2) + initialRadius;
-        const elem = document.createElement('div');
-        // base class for all circles; mark as normal by default
-        elem.className = 'circle normal';
-        // circle properties
-        const circle = {
-            element: elem,
-            x,
-            y,
-            radius: initialRadius,
-            growth: 20, // pixels per second
-            clicks: 1,
-            driftX: 0,
-            driftY: 0,
-            type: 'normal',
-            fuseTimeLeft: null
-        };
-        // Determine special types based on level
-        let special = null;
-        // Level 5+: fuse circles spawn with some probability
-        if (currentLevel >= 5 && Math.random() < 0.25) {
-            special = 'fuse';
-        } else if (currentLevel >= 4 && Math.random() < 0.3) {
-            // Level 4+: splitter circles spawn
-            special = 'splitter';
-        }
-        if (special === 'fuse') {
-            circle.type = 'fuse';
-            circle.fuseTimeLeft = 3.5; // seconds
-            elem.classList.add('fuse');
-        } else if (special === 'splitter') {
-            circle.type = 'splitter';
-            elem.classList.add('splitter');
+        showReadyOverlay();
+        if (finished) {
+            overlayTitle.textContent = 'Tutorial complete!';
+            overlayDesc.textContent = 'You\u2019ve met every kind of circle and power-up. ' + overlayDesc.textContent;
+        }
+    }
+
+    tutorialBtn.addEventListener('click', () => startTutorial());
+
+    // Point at something new on the board for a few seconds; warps get a box at the top
+    function showCallout({ heading, text, x, y }) {
+        const callout = document.createElement('div');
+        callout.className = 'callout';
+        callout.setAttribute('aria-hidden', 'true');
+        const title = document.createElement('strong');
+        title.textContent = heading;
+        callout.append(title, text);
+        const { width } = sim.state;
+        const left = x !== undefined ? Math.min(width - CALLOUT_HALF_WIDTH, Math.max(CALLOUT_HALF_WIDTH, x)) : width / 2;
+        callout.style.left = left + 'px';
+        callout.style.top = (y !== undefined ? y : 0) + 'px';
+        if (y === undefined || y < CALLOUT_MARGIN) callout.classList.add('below');
+        gameArea.appendChild(callout);
+        announcer.say(heading + '. ' + text);
+        setTimeout(() => {
+            callout.classList.add('leaving');
+            setTimeout(() => callout.remove(), TOAST_FADE);
+        }, CALLOUT_TIME);
+    }
+
+    // ── Versus ──
+    // Two boards take over the screen (js/versus.js); the single-player run waits behind them
+    function openVersus() {
+        overlay.classList.add('hidden');
+        document.body.classList.add('versus');
+        versus.open();
+    }
+
+    function exitVersus() {
+        document.body.classList.remove('versus');
+        // a run that ended is started afresh, as Start would
+        if (sim.state.status === 'gameOver') sim.reset(sim.getMode().continues ? sim.state.level : 1);
+        renderer.clear();
+        updateUI();
+        showReadyOverlay();
+    }
+
+    versusBtn.addEventListener('click', () => openVersus());
+
+    // ── Profile ──
+    // localStorage can throw just from being touched when storage is blocked
+    function localStorageIfAllowed() {
+        try {
+            return window.localStorage;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Runs end when a circle fills the board; the history names its type
+    function causeLabel(cause) {
+        if (!cause) return '';
+        const type = getCircleType(cause);
+        return (type ? type.label : cause) + ' circle';
+    }
+
+    // Fill the stats, records and run history in the help overlay
+    function renderProfile() {
+        const data = profile.data;
+        const stats = [
+            ['Runs', data.runs.length]
+        ];
+        for (const name of circleTypeNames()) stats.push([getCircleType(name).label + ' pops', data.pops[name] || 0]);
+        let banked = 0;
+        for (const name of powerUpNames()) {
+            const entry = data.powerUps[name] || { used: 0, banked: 0 };
+            stats.push([getPowerUp(name).label + ' used', entry.used]);
+            banked += entry.banked;
+        }
+        stats.push(['Power-ups banked', banked]);
+        profileStats.innerHTML = '';
+        for (const [label, value] of stats) {
+            const box = document.createElement('div');
+            box.className = 'profile-stat';
+            const valueEl = document.createElement('div');
+            valueEl.className = 'score-value';
+            valueEl.textContent = value.toString();
+            const labelEl = document.createElement('div');
+            labelEl.className = 'score-label';
+            labelEl.textContent = label.toUpperCase();
+            box.append(valueEl, labelEl);
+            profileStats.appendChild(box);
+        }
+        const recordsBody = modeRecords.tBodies[0];
+        recordsBody.innerHTML = '';
+        const played = modeNames().filter((name) => data.records[name]);
+        for (const name of played) {
+            const row = recordsBody.insertRow();
+            const { bestLevel, bestScore } = profile.record(name);
+            for (const text of [getMode(name).label, bestLevel, bestScore]) row.insertCell().textContent = text;
+        }
+        modeRecords.classList.toggle('hidden', played.length === 0);
+        const body = runHistory.tBodies[0];
+        body.innerHTML = '';
+        for (const run of data.runs.slice(0, 10)) {
+            const row = body.insertRow();
+            const date = run.date ? new Date(run.date).toLocaleDateString() : '';
+            const cells = [date, getMode(run.mode).label, run.level, run.score, causeLabel(run.cause)];
+            for (const text of cells) row.insertCell().textContent = text;
+        }
+        runHistory.classList.toggle('hidden', data.runs.length === 0);
+        renderLeaderboard();
+        renderAchievements();
+    }
+
+    exportProfileBtn.addEventListener('click', () => {
+        const blob = new Blob([profile.exportProfile()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'circle-survival-profile.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+    importProfileBtn.addEventListener('click', () => importProfileInput.click());
+    importProfileInput.addEventListener('change', () => {
+        const file = importProfileInput.files[0];
+        importProfileInput.value = '';
+        if (!file) return;
+        file.text().then((text) => {
+            if (!confirm('Replace your current progress with ' + file.name + '?')) return;
+            profile.importProfile(text);
+            applySkins();
+            renderProfile();
+            updateUI();
+        }).catch((err) => alert('Could not import progress: ' + err.message));
+    });
+    // ── Leaderboards and share codes ──
+    // English place names for the top ten: 1st, 2nd, 3rd, 4th, …
+    function ordinal(n) {
+        return n + (n === 1 ? 'st' : n === 2 ? 'nd' : n === 3 ? 'rd' : 'th');
+    }
+
+    function buildLeaderboardModes() {
+        for (const name of modeNames()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = getMode(name).label;
+            leaderboardMode.appendChild(option);
+        }
+        leaderboardMode.addEventListener('change', () => renderLeaderboard());
+    }
+
+    // Fill the help overlay's table for the selected mode, marking the run that just ended
+    function renderLeaderboard() {
+        const board = profile.leaderboard(leaderboardMode.value);
+        const body = leaderboardTable.tBodies[0];
+        body.innerHTML = '';
+        board.forEach((entry, i) => {
+            const row = body.insertRow();
+            if (entry === tracker.currentEntry()) row.className = 'current';
+            const date = entry.date ? new Date(entry.date).toLocaleDateString() : '';
+            const cells = [i + 1, entry.initials || '\u2014', entry.score, entry.level + (entry.director ? ' (adaptive)' : ''), date];
+            for (const text of cells) row.insertCell().textContent = text;
+        });
+        leaderboardTable.classList.toggle('hidden', board.length === 0);
+        leaderboardEmpty.classList.toggle('hidden', board.length > 0);
+    }
+
+    /**
+     * Show where the run that just ended (or the zen run so far) placed, ask for initials when
+     * it made the board, and offer a share code. Runs on a custom level pack can't be shared:
+     * the code only names the seed, and the other player would get the default levels.
+     */
+    function showRunResult() {
+        const entry = tracker.currentEntry();
+        shareCodeOutput.classList.add('hidden');
+        if (!entry) {
+            runResult.classList.add('hidden');
+            return;
+        }
+        const mode = sim.state.mode;
+        const rank = profile.leaderboard(mode).indexOf(entry);
+        if (rank >= 0) {
+            leaderboardPlace.textContent = (rank === 0 ? 'New high score! ' : '') + ordinal(rank + 1) + ' place on the ' + getMode(mode).label + ' leaderboard.';
+            initialsInput.value = entry.initials;
         } else {
-            // Non-special circles may be armored or drifter at appropriate levels
-            if (currentLevel >= 2 && Math.random() < 0.2) {
-                circle.clicks = 2;
-                circle.type = 'armored';
-                elem.classList.add('armored');
+            leaderboardPlace.textContent = 'Not on the ' + getMode(mode).label + ' top ' + CircleSurvival.profile.LEADERBOARD_SIZE + ' this time.';
+        }
+        initialsRow.classList.toggle('hidden', rank < 0);
+        shareCodeBtn.classList.toggle('hidden', activePack !== DEFAULT_PACK);
+        runResult.classList.remove('hidden');
+    }
+
+    // Text comparing a score with the shared result being chased, or '' when there isn't one
+    function challengeNote(score) {
+        if (!challenge) return '';
+        const theirs = (challenge.initials ? challenge.initials + '\u2019s ' : 'the shared ') + challenge.score;
+        if (score > challenge.score) return ' You beat ' + theirs + '!';
+        if (score === challenge.score) return ' You matched ' + theirs + '.';
+        return ' ' + (challenge.score - score) + ' short of ' + theirs + '.';
+    }
+
+    // Describe a decoded share code in a sentence
+    function describeSharedRun(run) {
+        const mode = getMode(run.mode);
+        return (run.initials || 'Someone') + ' scored ' + run.score + ' points reaching level ' + run.level + ' in ' + mode.label +
+            (run.startLevel > 1 ? ', starting from level ' + run.startLevel : '') + (run.director ? ' with adaptive difficulty' : '') + '.';
+    }
+
+    // ── Achievements and skins ──
+    const TOAST_TIME = 4000;       // ms an achievement toast stays up
+    const TOAST_FADE = 400;        // ms its fade-out takes (see .toast in index.html)
+
+    // Describe what an achievement's reward is, e.g. 'the Neon circle skin'
+    function rewardLabel(reward) {
+        const skin = getSkin(reward.kind, reward.skin);
+        return 'the ' + (skin ? skin.label : reward.skin) + (reward.kind === 'tnt' ? ' TNT skin' : ' circle skin');
+    }
+
+    // Whether the player may pick a skin: classic always, the rest once their achievement unlocks
+    function skinUnlocked(kind, skin) {
+        if (!getSkin(kind, skin)) return false;
+        const unlocker = unlockerOf(kind, skin);
+        return !unlocker || !!profile.achievement(unlocker.name).unlocked;
+    }
+
+    // Hand the renderer the picked skins, falling back to classic for any that are locked
+    function applySkins() {
+        const picked = {};
+        for (const kind of SKIN_KINDS) {
+            const skin = profile.data.skins[kind];
+            picked[kind] = skinUnlocked(kind, skin) ? skin : 'classic';
+        }
+        for (const r of renderers) r.setSkins(picked);
+    }
+
+    // Pop a toast up over the board for a few seconds
+    function showToast(heading, text) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        const title = document.createElement('strong');
+        title.textContent = heading;
+        toast.append(title, text);
+        toastStack.appendChild(toast);
+        setTimeout(() => {
+            toast.classList.add('leaving');
+            setTimeout(() => toast.remove(), TOAST_FADE);
+        }, TOAST_TIME);
+    }
+
+    function achievementUnlocked(achievement) {
+        const reward = achievement.reward ? ' Unlocks ' + rewardLabel(achievement.reward) + '.' : '';
+        showToast('Achievement unlocked', achievement.label);
+        // a skin picked in an imported profile may have been waiting for this
+        applySkins();
+        announcer.say('Achievement unlocked: ' + achievement.label + '.' + reward);
+    }
+
+    // Fill the achievement list and the skin pickers in the help overlay
+    function renderAchievements() {
+        const names = achievementNames();
+        let unlocked = 0;
+        achievementList.innerHTML = '';
+        for (const name of names) {
+            const achievement = getAchievement(name);
+            const { progress, unlocked: date } = profile.achievement(name);
+            if (date) unlocked++;
+            const entry = document.createElement('li');
+            entry.classList.toggle('unlocked', !!date);
+            const label = document.createElement('strong');
+            label.textContent = achievement.label;
+            const description = document.createElement('p');
+            description.textContent = achievement.description;
+            entry.append(label, description);
+            if (achievement.goal > 1 && !date) {
+                const bar = document.createElement('progress');
+                bar.max = achievement.goal;
+                bar.value = progress;
+                bar.setAttribute('aria-label', achievement.label + ': ' + progress + ' of ' + achievement.goal);
+                entry.appendChild(bar);
             }
-            if (currentLevel >= 3 && Math.random() < 0.5) {
-                const angle = Math.random() * Math.PI * 2;
-                const speed = 40; // pixels per second
-                circle.driftX = Math.cos(angle) * speed;
-                circle.driftY = Math.sin(angle) * speed;
-                circle.type = 'drifter';
-                // add drifter class for styling
-                elem.classList.add('drifter');
+            const status = [];
+            if (date) status.push('Unlocked ' + new Date(date).toLocaleDateString() + '.');
+            else if (achievement.goal > 1) status.push(progress + ' of ' + achievement.goal + '.');
+            if (achievement.reward) status.push('Reward: ' + rewardLabel(achievement.reward) + '.');
+            if (status.length) {
+                const note = document.createElement('p');
+                note.textContent = status.join(' ');
+                entry.appendChild(note);
             }
+            achievementList.appendChild(entry);
         }
-        // set initial size and position
-        updateCircleStyle(circle);
-        // click handler to remove or damage circle
-        elem.addEventListener('click', (e) => {
-            e.stopPropagation();
-            if (!gameRunning || paused) return;
-            if (circle.clicks > 1) {
-                circle.clicks--;
-                elem.classList.add('damaged');
-            } else {
-                // handle special types on pop
-                if (circle.type === 'splitter') {
-                    // spawn children before removing
-                    spawnSplitterChildren(circle);
-                } else if (circle.type === 'fuse') {
-                    // popping a fuse triggers a beneficial shockwave: shrink neighbors
-                    handleFusePop(circle, true);
+        achievementCount.textContent = unlocked + ' of ' + names.length + ' unlocked.';
+        for (const kind of SKIN_KINDS) {
+            const select = skinSelects[kind];
+            select.innerHTML = '';
+            for (const skin of skinNames(kind)) {
+                const option = document.createElement('option');
+                option.value = skin;
+                option.textContent = getSkin(kind, skin).label;
+                if (!skinUnlocked(kind, skin)) {
+                    option.disabled = true;
+                    option.textContent += ' (locked: ' + unlockerOf(kind, skin).label + ')';
                 }
-                removeCircle(circle);
-                // increment score for each circle popped
-                score++;
-                updateUI();
+                select.appendChild(option);
             }
-        });
-        gameArea.appendChild(elem);
-        circles.push(circle);
+            select.value = skinUnlocked(kind, profile.data.skins[kind]) ? profile.data.skins[kind] : 'classic';
+        }
     }
 
-    // Update circle DOM element properties based on its data
-    function updateCircleStyle(circle) {
-        const el = circle.element;
-        el.style.width = circle.radius * 2 + 'px';
-        el.style.height = circle.radius * 2 + 'px';
-        el.style.left = circle.x - circle.radius + 'px';
-        el.style.top = circle.y - circle.radius + 'px';
+    for (const kind of SKIN_KINDS) {
+        skinSelects[kind].addEventListener('change', () => {
+            profile.setSkin(kind, skinSelects[kind].value);
+            profile.save();
+            applySkins();
+        });
     }
 
-    // Remove circle from game and DOM
-    function removeCircle(circle) {
-        const idx = circles.indexOf(circle);
-        if (idx >= 0) {
-            circles.splice(idx, 1);
+    initialsInput.addEventListener('input', () => {
+        const entry = tracker.currentEntry();
+        const initials = profile.setInitials(initialsInput.value, entry);
+        if (initialsInput.value !== initials) initialsInput.value = initials;
+        profile.save();
+        shareCodeOutput.classList.add('hidden');
+    });
+    shareCodeBtn.addEventListener('click', () => {
+        const entry = tracker.currentEntry();
+        if (!entry) return;
+        const code = encodeShareCode(Object.assign({ mode: sim.state.mode }, entry));
+        shareCodeOutput.value = code;
+        shareCodeOutput.classList.remove('hidden');
+        shareCodeOutput.focus();
+        shareCodeOutput.select();
+        // the clipboard needs a secure context; the selected code can still be copied by hand
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(code).then(() => announcer.say('Share code copied.'), () => {});
         }
-        circle.element.remove();
-    }
+    });
+    checkCodeBtn.addEventListener('click', () => {
+        playCodeBtn.classList.add('hidden');
+        shareCodeResult.classList.remove('hidden');
+        try {
+            sharedRun = decodeShareCode(shareCodeInput.value);
+        } catch (err) {
+            sharedRun = null;
+            shareCodeResult.textContent = err.message + '.';
+            return;
+        }
+        shareCodeResult.textContent = describeSharedRun(sharedRun);
+        playCodeBtn.classList.remove('hidden');
+    });
+    shareCodeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') checkCodeBtn.click();
+    });
+    playCodeBtn.addEventListener('click', () => {
+        if (sharedRun) playSharedRun(sharedRun);
+    });
 
     /**
-     * Spawn two child circles when a splitter circle is popped.
-     * Children inherit position and half the radius, increased growth, and may drift.
-     * @param {Object} parent The parent circle being split
+     * Set up the run a share code describes: same mode, starting level, seed and director
+     * setting, on the default levels. The level overlay then says what score to beat.
+     * @param {Object} run Decoded share code
      */
-    function spawnSplitterChildren(parent) {
-        for (let i = 0; i < 2; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const childElem = document.createElement('div');
-            childElem.className = 'circle normal';
-            const child = {
-                element: childElem,
-                x: parent.x + Math.cos(angle) * parent.radius,
-                y: parent.y + Math.sin(angle) * parent.radius,
-                radius: Math.max(10, parent.radius / 2),
-                growth: parent.growth * 1.2,
-                clicks: 1,
-                driftX: 0,
-                driftY: 0,
-                type: 'normal',
-                fuseTimeLeft: null
-            };
-            // random drift on children to give them motion
-            if (Math.random() < 0.5) {
-                const driftAngle = Math.random() * Math.PI * 2;
-                const speed = 30;
-                child.driftX = Math.cos(driftAngle) * speed;
-                child.driftY = Math.sin(driftAngle) * speed;
-                child.type = 'drifter';
-                childElem.classList.add('drifter');
-            }
-            updateCircleStyle(child);
-            childElem.addEventListener('click', (e) => {
-                e.stopPropagation();
-                if (!gameRunning || paused) return;
-                // child circles pop on one click
-                removeCircle(child);
-                score++;
-                updateUI();
-            });
-            gameArea.appendChild(childElem);
-            circles.push(child);
+    function playSharedRun(run) {
+        resumeAfterDialog = false;
+        closeHelp();
+        editor.close();
+        leaveTutorial();
+        stopLoop();
+        if (activePack !== DEFAULT_PACK) {
+            activePack = DEFAULT_PACK;
+            sim.setPack(activePack);
+            buildLevelButtons();
         }
+        profile.setMode(run.mode);
+        profile.save();
+        sim.setMode(run.mode);
+        if (settings.data.director !== run.director) settings.set('director', run.director);
+        syncBounds();
+        sim.reset(run.startLevel, run.seed);
+        challenge = run;
+        renderer.clear();
+        updateUI();
+        showReadyOverlay();
+        overlayDesc.textContent += ' ' + describeSharedRun(run).replace(/\.$/, '') + ': can you beat it?';
     }
 
+    // progress made since the last level ended is saved when the page goes away
+    window.addEventListener('pagehide', () => profile.save());
+
     /**
-     * Handle fuse explosion or pop.
-     * If popped by player (isGood=true), shrink neighbors; if exploded naturally (isGood=false), enlarge neighbors.
-     * @param {Object} fuseCircle The fuse circle triggering the effect
-     * @param {boolean} isGood Whether the fuse was popped by the player
+     * Switch to the replay viewer. Any run in progress is abandoned.
+     * @param {Object} replay Replay data
      */
-    function handleFusePop(fuseCircle, isGood) {
-        const factor = isGood ? 0.8 : 1.2;
-        for (const c of circles) {
-            if (c === fuseCircle) continue;
-            c.radius *= factor;
-            c.radius = Math.max(c.radius, 5);
-            updateCircleStyle(c);
+    function openReplay(replay) {
+        editor.close();
+        leaveTutorial();
+        levelBeforeReplay = sim.state.level;
+        stopLoop();
+        overlay.classList.add('hidden');
+        resumeBtn.disabled = true;
+        restartBtn.disabled = true;
+        try {
+            viewer.open(replay);
+        } catch (err) {
+            alert('Could not load replay: ' + err.message);
+            exitReplay();
         }
     }
 
+    // Back from the replay viewer to the level the player was on
+    function exitReplay() {
+        timerBar.classList.remove('warp-active');
+        sim.setPack(activePack);
+        sim.setMode(profile.data.mode);
+        sim.setDirector(settings.data.director);
+        sim.reset(levelBeforeReplay);
+        updateUI();
+        showReadyOverlay();
+    }
+
+    function showReadyOverlay() {
+        const mode = sim.getMode();
+        startLevelIndexSpan.textContent = sim.state.level.toString();
+        overlayTitle.textContent = 'Ready?';
+        overlayDesc.textContent = bossNotice(sim.state.level) || (mode.name === 'classic'
+            ? 'Click circles before they grow too large. Survive\u00a0' + sim.state.duration + '\u00a0seconds.'
+            : mode.description);
+        modeSelect.classList.remove('hidden');
+        tutorialBtn.classList.remove('hidden');
+        versusBtn.classList.remove('hidden');
+        replayActions.classList.add('hidden');
+        scoreBreakdown.classList.add('hidden');
+        ghostSplits.classList.add('hidden');
+        runResult.classList.add('hidden');
+        showOverlay();
+    }
+
+    // Show the level overlay with Start focused, so Enter, Space or a gamepad's A goes on
+    function showOverlay() {
+        overlay.classList.remove('hidden');
+        startBtn.focus();
+    }
+
+    /**
+     * Show the help overlay and pause the game if necessary.
+     */
+    function openHelp() {
+        if (!helpOverlay) return;
+        leaderboardMode.value = sim.state.mode;
+        renderProfile();
+        // the game pauses under help, so the graph only needs drawing as it opens
+        directorGraph.render();
+        focusBeforeDialog = document.activeElement;
+        helpOverlay.classList.remove('hidden');
+        if (closeHelpBtn) closeHelpBtn.focus();
+        // If the game is running and not currently paused, pause it and remember to resume after help
+        resumeAfterDialog = gameRunning && !paused;
+        pauseGame();
+        versus.pause();
+    }
+
+    /**
+     * Show the settings overlay, pausing the game like help does.
+     */
+    function openSettings() {
+        focusBeforeDialog = document.activeElement;
+        settingsOverlay.classList.remove('hidden');
+        closeSettingsBtn.focus();
+        resumeAfterDialog = gameRunning && !paused;
+        pauseGame();
+        versus.pause();
+    }
+
+    function closeSettings() {
+        settingsOverlay.classList.add('hidden');
+        if (focusBeforeDialog && focusBeforeDialog.focus) focusBeforeDialog.focus();
+        focusBeforeDialog = null;
+        if (resumeAfterDialog) resumeGame();
+        resumeAfterDialog = false;
+    }
+
+    /**
+     * Hide the help overlay and resume the game if it was paused by help.
+     */
+    function closeHelp() {
+        if (!helpOverlay) return;
+        helpOverlay.classList.add('hidden');
+        if (focusBeforeDialog && focusBeforeDialog.focus) focusBeforeDialog.focus();
+        focusBeforeDialog = null;
+        if (resumeAfterDialog) resumeGame();
+        resumeAfterDialog = false;
+    }
+
+    // Game time stands still while paused: the simulation only moves when update() steps it
+    function pauseGame() {
+        if (!gameRunning || paused) return;
+        paused = true;
+        resumeBtn.textContent = 'Resume';
+        cancelAnimationFrame(animationFrameId);
+        reticle.releaseKeys();
+        audio.pause();
+    }
+
+    function resumeGame() {
+        if (!gameRunning || !paused) return;
+        paused = false;
+        resumeBtn.textContent = 'Pause';
+        audio.resume();
+        lastUpdateTime = performance.now();
+        animationFrameId = requestAnimationFrame(update);
+    }
+
+    function stopLoop() {
+        gameRunning = false;
+        paused = false;
+        cancelAnimationFrame(animationFrameId);
+        timerBar.classList.remove('warp-active');
+    }
+
     // Main update loop using requestAnimationFrame
     function update(timestamp) {
+        if (!gameRunning || paused) return;
+        // a stalled frame (a busy tab, a breakpoint) is dropped past MAX_FRAME_TIME rather than
+        // handed to the simulation as one huge step
+        const dt = Math.min(MAX_FRAME_TIME, (timestamp - lastUpdateTime) / 1000) * timeScale;
+        lastUpdateTime = timestamp;
+        reticle.update(dt);
+        sim.step(dt);
+        // the simulation may have ended the level or the game during this step
         if (!gameRunning) return;
-        if (paused) {
-            animationFrameId = requestAnimationFrame(update);
-            return;
+        announcer.update(dt);
+        audio.update(dt);
+        renderer.render(dt);
+        race.update();
+        updateUI();
+        if (previewing) editor.setPlayhead(sim.state.elapsed);
+        tutorial.update(dt);
+        animationFrameId = requestAnimationFrame(update);
+    }
+
+    // Update UI elements for level, time and best score
+    function updateUI() {
+        const { level, score, multiplier, mode } = sim.state;
+        const rules = sim.getMode();
+        levelSpan.textContent = level.toString();
+        scoreSpan.textContent = score.toString();
+        comboBadge.classList.toggle('hidden', multiplier <= 1);
+        comboBadge.textContent = '\u00d7' + multiplier.toFixed(1);
+        const record = profile.record(mode);
+        bestSpan.textContent = (rules.record === 'score' ? record.bestScore : record.bestLevel).toString();
+        // update time display and timer bar: the level's clock, or the run's in timed modes
+        let timeLeft = sim.state.timeLeft;
+        let duration = sim.state.duration;
+        if (rules.timeLimit) {
+            timeLeft = rules.timeLimit - sim.state.runTime;
+            duration = rules.timeLimit;
         }
-        const dt = (timestamp - lastUpdateTime) / 1000;
-        lastUpdateTime = timestamp;
-        // update timer
-        timeLeft -= dt;
-        if (timeLeft <= 0) {
-            levelComplete();
-            return;
+        timeLabel.textContent = Math.max(0, Math.ceil(timeLeft)).toString();
+        timerBar.style.width = ((Math.max(0, timeLeft) / duration) * 100) + '%';
+        updateGhost();
+    }
+
+    // ── Ghost race ──
+    // Points ahead of or behind the best run's ghost at this moment, how its board compares,
+    // and where it is on the timer bar while it is on the same level
+
+    function signed(value) {
+        return (value > 0 ? '+' : value < 0 ? '\u2212' : '\u00b1') + Math.abs(value);
+    }
+
+    // Write a delta, coloured by whether it puts the run ahead (lead > 0) or behind the ghost
+    function showDelta(element, lead, text) {
+        element.textContent = text;
+        element.classList.toggle('ghost-ahead', lead > 0);
+        element.classList.toggle('ghost-behind', lead < 0);
+    }
+
+    function updateGhost() {
+        const standing = race.standing();
+        ghostBox.classList.toggle('hidden', !standing);
+        const marker = race.marker();
+        ghostMarker.classList.toggle('hidden', marker === null);
+        if (marker) {
+            ghostMarker.style.left = (marker.left * 100) + '%';
+            ghostMarker.classList.toggle('ghost-ahead', marker.ahead);
+            ghostMarker.classList.toggle('ghost-behind', marker.behind);
         }
-        // calculate elapsed time since start of level
-        const elapsed = 30 - timeLeft;
-        // handle time warp events for levels 6 and above
-        if (currentLevel >= 6) {
-            if (!warpActive && elapsed >= nextWarpAt) {
-                // begin warp
-                warpActive = true;
-                warpEndAt = nextWarpAt + timeWarpConfig.duration;
-                spawnInterval = baseSpawnInterval * timeWarpConfig.factor;
-                timerBar.classList.add('warp-active');
-            } else if (warpActive && elapsed >= warpEndAt) {
-                // end warp
-                warpActive = false;
-                spawnInterval = baseSpawnInterval;
-                nextWarpAt += timeWarpConfig.interval;
-                timerBar.classList.remove('warp-active');
-            }
+        if (!standing) return;
+        const { level, score, circles, fill, ended, scoreDelta, circleDelta, fillDelta } = standing;
+        showDelta(ghostDelta, scoreDelta, signed(scoreDelta));
+        // a fuller board is the worse one, so fewer circles and a smaller biggest one count as ahead
+        if (ended) {
+            showDelta(ghostCircles, 0, '');
+            showDelta(ghostFill, 0, '');
+        } else {
+            showDelta(ghostCircles, -circleDelta, signed(circleDelta) + '\u25cf');
+            showDelta(ghostFill, -fillDelta, signed(Math.round(fillDelta * 100)) + '%');
         }
-        // update each circle
-        const rect = gameArea.getBoundingClientRect();
-        const maxR = Math.min(rect.width, rect.height) / 2;
-        for (const circle of circles) {
-            // grow radius
-            circle.radius += circle.growth * dt;
-            // move if drifting
-            circle.x += circle.driftX * dt;
-            circle.y += circle.driftY * dt;
-            // update fuse countdown and explosion for fuse circles
-            if (circle.type === 'fuse' && circle.fuseTimeLeft !== null) {
-                circle.fuseTimeLeft -= dt;
-                if (circle.fuseTimeLeft <= 0) {
-                    // fuse exploded naturally - enlarge neighbors
-                    handleFusePop(circle, false);
-                    removeCircle(circle);
-                    // skip further updates for this circle
-                    continue;
-                }
-            }
-            // bounce off walls if drifting
-            if (circle.driftX !== 0 || circle.driftY !== 0) {
-                if (circle.x - circle.radius < 0) {
-                    circle.x = circle.radius;
-                    circle.driftX = Math.abs(circle.driftX);
-                } else if (circle.x + circle.radius > rect.width) {
-                    circle.x = rect.width - circle.radius;
-                    circle.driftX = -Math.abs(circle.driftX);
-                }
-                if (circle.y - circle.radius < 0) {
-                    circle.y = circle.radius;
-                    circle.driftY = Math.abs(circle.driftY);
-                } else if (circle.y + circle.radius > rect.height) {
-                    circle.y = rect.height - circle.radius;
-                    circle.driftY = -Math.abs(circle.driftY);
+        ghostBox.title = ended
+            ? 'Your ghost\u2019s run stopped on level ' + level + ' with ' + score + ' points.'
+            : 'Your ghost: level ' + level + ', ' + score + ' points, ' + circles + ' circles, the biggest ' +
+                Math.round(fill * 100) + '% of the way to filling the board.';
+    }
+
+    // This run's finished levels against the ghost's: points per level, and the run's gap after each
+    function renderGhostSplits() {
+        const rows = race.splits();
+        ghostSplits.innerHTML = '';
+        ghostSplits.classList.toggle('hidden', !rows.length);
+        if (!rows.length) return;
+        const row = (cells, className) => {
+            const item = document.createElement('li');
+            if (className) item.className = className;
+            for (const cell of cells) {
+                const span = document.createElement('span');
+                if (typeof cell === 'number') {
+                    span.textContent = signed(cell);
+                    span.className = cell > 0 ? 'ghost-ahead' : cell < 0 ? 'ghost-behind' : '';
+                } else {
+                    span.textContent = cell;
                 }
+                item.appendChild(span);
             }
-            // update its DOM element
-            updateCircleStyle(circle);
-            // check for game over
-            if (circle.radius >= maxR) {
-                gameOver();
-                return;
-            }
+            ghostSplits.appendChild(item);
+        };
+        row(['Level', 'You / ghost', 'Run'], 'heading');
+        for (const split of rows) {
+            const theirs = split.ghostScore === null ? '\u2014' : split.ghostScore.toString();
+            row(['Level ' + split.level, split.score + ' / ' + theirs,
+                split.ghostTotal === null ? '\u2014' : split.total - split.ghostTotal]);
+        }
+    }
+
+    // ── Game modes ──
+    function buildModeSelect() {
+        for (const name of modeNames()) {
+            const btn = document.createElement('button');
+            btn.className = 'mode-btn';
+            btn.setAttribute('role', 'radio');
+            btn.dataset.mode = name;
+            btn.textContent = getMode(name).label;
+            btn.title = getMode(name).description;
+            btn.addEventListener('click', () => selectMode(name));
+            modeSelect.appendChild(btn);
         }
+    }
+
+    /**
+     * Switch to another game mode and start a fresh run in it from level 1.
+     * @param {string} name Mode name
+     */
+    function selectMode(name) {
+        profile.setMode(name);
+        profile.save();
+        stopLoop();
+        sim.setMode(name);
+        sim.reset(1);
+        renderer.clear();
         updateUI();
-        animationFrameId = requestAnimationFrame(update);
+        showReadyOverlay();
     }
 
-    // Update UI elements for level, time and best score
-    function updateUI() {
-        levelSpan.textContent = currentLevel.toString();
-        scoreSpan.textContent = score.toString();
-        // update best level stored in localStorage
-        let best = parseInt(localStorage.getItem('bestLevel') || '0', 10);
-        if (currentLevel > best) {
-            localStorage.setItem('bestLevel', currentLevel.toString());
-            best = currentLevel;
-        }
-        bestSpan.textContent = best.toString();
-        // update time display and timer bar
-        timeLabel.textContent = Math.max(0, Math.ceil(timeLeft)).toString();
-        timerBar.style.width = ((timeLeft / 30) * 100) + '%';
+    // Reflect the simulation's mode in the selector and the controls
+    function applyModeUI() {
+        const mode = sim.getMode();
+        for (const btn of modeSelect.children) btn.setAttribute('aria-checked', String(btn.dataset.mode === mode.name));
+        document.body.classList.toggle('no-power-ups', !mode.powerUps);
+        restartBtn.textContent = mode.continues ? 'Restart Level' : 'Restart Run';
+    }
+
+    // Overlay text warning that a level is a boss level, or '' when it isn't
+    function bossNotice(level) {
+        const boss = CircleSurvival.levels.resolveLevel(sim.getPack(), level).boss;
+        if (!boss) return '';
+        return 'Boss level! Wear down the boss (' + boss.hp + ' HP) before the time runs out: clicks chip away at it, and blasts hit it hard.';
     }
 
     // Handle completing a level
-    function levelComplete() {
-        clearTimeout(spawnTimeoutId);
-        cancelAnimationFrame(animationFrameId);
-        // clean up circles
-        circles.forEach(c => c.element.remove());
-        circles = [];
-        const completedLevel = currentLevel;
-        // increment level and reset timer for next level
-        currentLevel++;
-        timeLeft = 30;
-        score = 0;
-        // adjust spawn interval for next level (slightly faster each level)
-        baseSpawnInterval = BASE_SPAWN_INTERVAL * Math.pow(0.9, currentLevel - 1);
-        spawnInterval = baseSpawnInterval;
-        spawnAcceleration = 0.9;
+    function levelComplete(completedLevel, levelScore) {
+        stopLoop();
+        renderer.clear();
+        resumeBtn.disabled = true;
+        restartBtn.disabled = true;
         updateUI();
-        // reset time warp state for new level
-        warpActive = false;
-        nextWarpAt = timeWarpConfig.interval;
-        warpEndAt = 0;
-        // prepare overlay for next level
-        if (overlay) {
-            overlayTitle.textContent = `Level ${completedLevel} complete!`;
-            overlayDesc.textContent = 'Get ready for the next level.';
-            startLevelIndexSpan.textContent = currentLevel.toString();
-            overlay.classList.remove('hidden');
-        } else {
-            // fallback: automatically continue if overlay is missing
-            startLevel();
+        overlayTitle.textContent = `Level ${completedLevel} complete!`;
+        let summary = 'You scored ' + levelScore + ' points (' + sim.state.score + ' this run).';
+        if (bossReward !== undefined) {
+            const reward = bossReward && CircleSurvival.powerUps.getPowerUp(bossReward);
+            summary += reward ? ' The boss dropped ' + reward.label + '.' : ' The boss is down.';
         }
+        summary += challengeNote(sim.state.score);
+        overlayDesc.textContent = summary + ' ' + (bossNotice(sim.state.level) || 'Get ready for the next level.');
+        scoreBreakdown.classList.add('hidden');
+        renderGhostSplits();
+        // zen runs never end, so they are placed on the leaderboard level by level
+        showRunResult();
+        // switching modes or taking the tutorial mid-run would throw the run away
+        modeSelect.classList.add('hidden');
+        tutorialBtn.classList.add('hidden');
+        versusBtn.classList.add('hidden');
+        startLevelIndexSpan.textContent = sim.state.level.toString();
+        showOverlay();
     }
 
-    // End the game on failure
-    function gameOver() {
-        gameRunning = false;
-        clearTimeout(spawnTimeoutId);
-        cancelAnimationFrame(animationFrameId);
-        // remove all circles
-        circles.forEach(c => c.element.remove());
-        circles = [];
-        alert('Game Over! You reached level ' + currentLevel);
-        // reset buttons
+    // End the game on failure, or when a timed mode's clock runs out
+    function gameOver(reason) {
+        const { level, score } = sim.state;
+        stopLoop();
+        renderer.clear();
+        updateUI();
+        if (reason === 'timeUp') {
+            overlayTitle.textContent = 'Time\u2019s up!';
+            overlayDesc.textContent = 'You scored ' + score + ' points, reaching level ' + level + '.';
+        } else if (reason === 'boss') {
+            overlayTitle.textContent = 'The boss survived!';
+            overlayDesc.textContent = 'Time ran out before the boss went down on level ' + level + '. Run score: ' + score + '.';
+        } else {
+            overlayTitle.textContent = 'Game Over!';
+            overlayDesc.textContent = 'You reached level ' + level + ' with a run score of ' + score + '.';
+        }
+        overlayDesc.textContent += challengeNote(score);
+        renderScoreBreakdown();
+        ghostSplits.classList.add('hidden');
+        showRunResult();
+        modeSelect.classList.remove('hidden');
+        tutorialBtn.classList.remove('hidden');
+        versusBtn.classList.remove('hidden');
+        startLevelIndexSpan.textContent = (sim.getMode().continues ? level : 1).toString();
+        lastReplay = recorder.current();
+        replayActions.classList.remove('hidden');
+        showOverlay();
         resumeBtn.textContent = 'Pause';
         resumeBtn.disabled = true;
         restartBtn.disabled = true;
     }
 
-    // Optional: clicking on empty game area has no effect
-    gameArea.addEventListener('click', () => {
-        // no op; could add feedback if desired
-    });
+    // Points from each level of the run that just ended, then the total
+    function renderScoreBreakdown() {
+        scoreBreakdown.innerHTML = '';
+        const rows = sim.state.levelScores.map((entry) => ['Level ' + entry.level, entry.score]);
+        rows.push(['Total', sim.state.score]);
+        rows.forEach(([label, points], i) => {
+            const item = document.createElement('li');
+            if (i === rows.length - 1) item.className = 'total';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const value = document.createElement('span');
+            value.textContent = points.toString();
+            item.append(name, value);
+            scoreBreakdown.appendChild(item);
+        });
+        scoreBreakdown.classList.remove('hidden');
+    }
 
     /**
      * Start the current level. Resets state and begins spawning circles.
      */
     function startLevel() {
-        resetGame();
+        syncBounds();
+        sim.startLevel();
+        renderer.clear();
+        reticle.center();
+        // a restart from the paused state skips resumeGame()
+        audio.resume();
+        // keyboard play goes to the board once the Start button has gone
+        gameArea.focus();
         gameRunning = true;
         paused = false;
-        score = 0;
         // enable controls
         resumeBtn.disabled = false;
         restartBtn.disabled = false;
         resumeBtn.textContent = 'Pause';
-        // begin spawning and animation
+        updateUI();
+        // begin the animation loop
         lastUpdateTime = performance.now();
-        spawnNext();
         animationFrameId = requestAnimationFrame(update);
     }
 
     /**
-     * Restart the current level without changing the currentLevel counter.
+     * Restart the current level without changing the level counter. Modes without
+     * continues restart the whole run instead.
      */
     function restartLevel() {
-        clearTimeout(spawnTimeoutId);
-        cancelAnimationFrame(animationFrameId);
-        paused = false;
-        score = 0;
-        resetGame();
-        resumeBtn.textContent = 'Pause';
-        lastUpdateTime = performance.now();
-        gameRunning = true;
-        spawnNext();
-        animationFrameId = requestAnimationFrame(update);
+        stopLoop();
+        if (!sim.getMode().continues) sim.reset(1);
+        startLevel();
+    }
+
+    // ── Legends ──
+    // One entry per registered circle type, then one per power-up
+    function buildLegends() {
+        for (const legend of [document.getElementById('legend'), document.getElementById('help-legend')]) {
+            for (const name of circleTypeNames()) {
+                const item = document.createElement('span');
+                item.className = 'legend-item';
+                item.append(typeDot(name), getCircleType(name).label);
+                legend.appendChild(item);
+            }
+            for (const name of powerUpNames()) {
+                const item = document.createElement('span');
+                item.className = 'legend-item';
+                item.append(powerUpDot(name), getPowerUp(name).label);
+                legend.appendChild(item);
+            }
+        }
+        const helpTypes = document.getElementById('help-types');
+        for (const name of circleTypeNames()) {
+            const type = getCircleType(name);
+            const entry = document.createElement('li');
+            const label = document.createElement('strong');
+            label.textContent = type.label;
+            entry.append(typeDot(name), label, ' ' + type.description);
+            helpTypes.appendChild(entry);
+        }
+        const helpPowerUps = document.getElementById('help-power-ups');
+        for (const name of powerUpNames()) {
+            const powerUp = getPowerUp(name);
+            const entry = document.createElement('li');
+            const label = document.createElement('strong');
+            label.textContent = powerUp.label + (powerUp.key ? ' (' + powerUp.key + ')' : '');
+            entry.append(powerUpDot(name), label, ' ' + powerUp.description);
+            helpPowerUps.appendChild(entry);
+        }
     }
 
-})();
\ No newline at end of file
+    function typeDot(name) {
+        const dot = document.createElement('span');
+        dot.className = 'dot';
+        dot.style.backgroundColor = swatchColor(name);
+        return dot;
+    }
+
+    function powerUpDot(name) {
+        const dot = document.createElement('span');
+        dot.className = 'dot power-up-dot';
+        dot.style.backgroundColor = getPowerUp(name).appearance.color;
+        return dot;
+    }
+
+    buildLegends();
+    buildModeSelect();
+    buildLeaderboardModes();
+    buildSettings();
+    applySettings();
+    applySkins();
+
+    // Start a recording for the first run
+    syncBounds();
+    sim.reset(1);
+    updateUI();
+    startBtn.focus();
+    loadPackFromUrl();
+})();
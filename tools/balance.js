@@ -0,0 +1,64 @@
+// Balance runner: plays many simulated rounds headlessly and reports survival per level.
+// Usage: node tools/balance.js [rounds=1000] [maxLevel=7] [reaction=0.35] [pack.json] [--director]
+// The bot pops the largest circle every `reaction` seconds and fires its first banked
+// power-up once 20 circles are on screen, which is roughly how a practised player behaves.
+// With --director the adaptive difficulty director tunes each level as the bot plays it.
+
+const fs = require('fs');
+const { createSimulation } = require('../js/sim');
+const { DEFAULT_PACK, parsePack } = require('../js/levels');
+
+const args = process.argv.slice(2).filter((arg) => arg !== '--director');
+const director = args.length < process.argv.length - 2;
+const rounds = parseInt(args[0] || '1000', 10);
+const maxLevel = parseInt(args[1] || '7', 10);
+const reaction = parseFloat(args[2] || '0.35');
+const pack = args[3] ? parsePack(fs.readFileSync(args[3], 'utf8')) : DEFAULT_PACK;
+const FRAME = 1 / 60;
+
+/**
+ * Play one level with the bot and report whether it survived.
+ * @param {number} level Level to play
+ * @returns {{ survived: boolean, score: number, time: number }}
+ */
+function playLevel(level) {
+    const sim = createSimulation({ width: 800, height: 600, pack, director });
+    let outcome = null;
+    let duration = 0;
+    sim.on('levelStart', () => { duration = sim.state.duration; });
+    // boss levels end early once the boss is beaten
+    sim.on('bossDefeat', () => { duration = sim.state.elapsed; });
+    sim.on('levelComplete', ({ levelScore }) => { outcome = { survived: true, score: levelScore, time: duration }; });
+    sim.on('gameOver', ({ levelScore }) => { outcome = { survived: false, score: levelScore, time: sim.state.elapsed }; });
+    sim.startLevel(level);
+    let nextAction = reaction;
+    while (!outcome) {
+        sim.step(FRAME);
+        if (outcome) break;
+        nextAction -= FRAME;
+        if (nextAction > 0) continue;
+        nextAction = reaction;
+        if (sim.state.circles.length >= 20 && sim.usePowerUp(0)) continue;
+        let target = null;
+        for (const c of sim.state.circles) if (!target || c.radius > target.radius) target = c;
+        if (target) sim.hitCircle(target);
+    }
+    return outcome;
+}
+
+console.log('level  survival  avg score  avg time');
+for (let level = 1; level <= maxLevel; level++) {
+    let survived = 0, score = 0, time = 0;
+    for (let i = 0; i < rounds; i++) {
+        const result = playLevel(level);
+        if (result.survived) survived++;
+        score += result.score;
+        time += result.time;
+    }
+    console.log(
+        String(level).padStart(5) +
+        ((survived / rounds) * 100).toFixed(1).padStart(9) + '%' +
+        (score / rounds).toFixed(1).padStart(11) +
+        (time / rounds).toFixed(1).padStart(10)
+    );
+}
@@ -0,0 +1,42 @@
+// Replay a recorded run headlessly and report what happened in it.
+// Usage: node tools/replay.js path/to/replay.json
+// Handy for "I died unfairly" reports: prints each level's outcome and, for the fatal
+// circle, its type, radius and how long it had been on the board.
+
+const fs = require('fs');
+const { createSimulation } = require('../js/sim');
+const { createPlayer, parseReplay } = require('../js/replay');
+
+const file = process.argv[2];
+if (!file) {
+    console.error('Usage: node tools/replay.js <replay.json>');
+    process.exit(1);
+}
+
+const replay = parseReplay(fs.readFileSync(file, 'utf8'));
+const sim = createSimulation();
+const spawnedAt = new Map();
+const seconds = (tick) => (tick * sim.TICK).toFixed(2) + 's';
+
+sim.on('spawn', ({ circle }) => spawnedAt.set(circle.id, sim.state.tick));
+sim.on('levelStart', ({ level }) => console.log(`[${seconds(sim.state.tick)}] level ${level} started`));
+sim.on('levelComplete', ({ level, levelScore, score }) => console.log(`[${seconds(sim.state.tick)}] level ${level} complete, scored ${levelScore} (run ${score})`));
+sim.on('bossDefeat', ({ reward }) => console.log(`[${seconds(sim.state.tick)}] boss defeated` + (reward ? `, dropped ${reward}` : '')));
+sim.on('gameOver', ({ level, levelScore, score, circle, reason }) => {
+    console.log(`[${seconds(sim.state.tick)}] game over on level ${level}, scored ${levelScore} (run ${score})`);
+    if (reason === 'timeUp') {
+        console.log('  the run clock ran out');
+        return;
+    }
+    if (reason === 'boss') {
+        console.log(`  time ran out with the boss at ${circle.hp} of ${circle.maxHp} HP`);
+        return;
+    }
+    const age = (sim.state.tick - spawnedAt.get(circle.id)) * sim.TICK;
+    console.log(`  fatal circle #${circle.id}: ${circle.type}, radius ${circle.radius.toFixed(1)}, alive ${age.toFixed(2)}s, ` +
+        `${sim.state.circles.length} circles on board`);
+});
+
+console.log(`seed ${replay.seed}, ${replay.inputs.length} inputs, ${replay.width}x${replay.height}`);
+const player = createPlayer(sim, replay);
+player.advance(player.end);